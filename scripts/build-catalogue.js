@@ -0,0 +1,49 @@
+// Builds website/archives.json, the list of files in every model archive, for the exports on the
+// site (website/export.js). The archives are read on disk instead of in the browser, so exporting
+// the catalogue doesn't download every model. Used by build-index.js so the catalogue is rebuilt
+// (and checked) together with website/data.json. Archives that are missing, unreadable or hosted
+// elsewhere are left out; ZIP64 archives are listed without their files.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { getModelPath, isExternalPath, readZipDirectory } = require('./check-assets');
+
+const ROOT = path.resolve(__dirname, '..');
+const CATALOGUE_PATH = path.join(ROOT, 'website', 'archives.json');
+
+const CATALOGUE_INFO = {
+    about: 'Generated by scripts/build-index.js from the model archives in characters/. Rebuild instead of editing this file.'
+};
+
+/**
+ * `{ path, size, files }` for a character's model archive, or null when it can't be listed.
+ */
+function listModelArchive(character) {
+    const modelPath = getModelPath(character);
+    const filePath = path.join(ROOT, modelPath);
+    if (isExternalPath(modelPath) || !fs.existsSync(filePath)) return null;
+
+    const buffer = fs.readFileSync(filePath);
+    try {
+        const { files } = readZipDirectory(buffer);
+        return { path: modelPath, size: buffer.length, files: files ? files.sort((a, b) => a.path.localeCompare(b.path)) : null };
+    } catch (error) {
+        return null; // Reported by check-assets.js
+    }
+}
+
+/**
+ * The catalogue, with the archives keyed by character id in the order of `characters`.
+ */
+function buildCatalogue(characters) {
+    const archives = {};
+    characters.forEach(character => {
+        const archive = listModelArchive(character);
+        if (archive) archives[character.id] = archive;
+    });
+    return { dataInfo: CATALOGUE_INFO, archives };
+}
+
+module.exports = { CATALOGUE_PATH, listModelArchive, buildCatalogue };
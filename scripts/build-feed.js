@@ -0,0 +1,130 @@
+// Builds feed.xml, an Atom feed of newly added and updated models, from the character files.
+// Used by build-index.js so the feed is rebuilt (and checked) together with website/data.json.
+// Each upload is one entry and each later revision in meta.versions another; a newer
+// meta.updatedDate without a matching version still gets an entry so the update isn't missed.
+
+'use strict';
+
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const FEED_PATH = path.join(ROOT, 'feed.xml');
+const FEED_ENTRY_LIMIT = 50;
+// Public address of the site, ending in "/". Feed readers fetch the feed from elsewhere, so its
+// links have to be absolute. build-pages.js uses it too, for the OpenGraph tags and sitemap.xml,
+// which crawlers only follow with absolute URLs.
+const SITE_URL = 'https://imduck42.github.io/HoYArchive/';
+const SITE_URL_PATTERN = /^https?:\/\/[^/]+\/(?:.*\/)?$/;
+
+const FEED_INFO = {
+    title: 'HoYarchive: new and updated models',
+    subtitle: 'Character models added to or updated in the archive.',
+    id: 'urn:hoyarchive:feed'
+};
+
+/**
+ * Fails the build when SITE_URL isn't an absolute address, which would leave relative links in
+ * the feed, the link previews and the sitemap.
+ */
+function assertSiteUrl() {
+    if (!SITE_URL_PATTERN.test(SITE_URL)) {
+        throw new Error(`SITE_URL in build-feed.js must be the absolute address of the site, ending in "/" (it is "${SITE_URL}")`);
+    }
+}
+
+function escapeXml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Drops the Markdown subset used in text fields ([label](url), **bold**, *italic*, `code`).
+ */
+function toPlainText(text) {
+    return String(text ?? '')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/(\*\*|\*|`)(.+?)\1/g, '$2')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Path of a character's static page (written by build-pages.js), relative to SITE_URL. The feed
+ * links there too, so feed readers get the same URLs as the sitemap.
+ */
+function getCharacterPagePath(characterId) {
+    return `characters/${encodeURIComponent(characterId)}/`;
+}
+
+function isPublished(character) {
+    return !character.status || character.status === 'published';
+}
+
+/**
+ * Added and updated events of a character, each `{ kind, date, version, summary }`.
+ */
+function getCharacterEvents(character) {
+    const meta = character.meta || {};
+    const events = [];
+    if (meta.uploadDate) {
+        events.push({ kind: 'added', date: meta.uploadDate, summary: character.description });
+    }
+
+    const revisions = (Array.isArray(meta.versions) ? meta.versions : []).filter(version => version.date > meta.uploadDate);
+    revisions.forEach(version => {
+        events.push({ kind: 'updated', date: version.date, version: version.version, summary: version.changes });
+    });
+    if (meta.updatedDate > meta.uploadDate && !revisions.some(version => version.date === meta.updatedDate)) {
+        events.push({ kind: 'updated', date: meta.updatedDate, summary: 'The model was updated.' });
+    }
+    return events.map(event => ({ ...event, character }));
+}
+
+function generateEntryXml({ kind, date, version, summary, character }, uploadersById) {
+    const uploaderName = uploadersById.get(character.meta?.uploader)?.name || toPlainText(character.meta?.uploader);
+    const title = `${kind === 'added' ? 'New' : 'Updated'}: ${character.name}${version ? ` (${version})` : ''}`;
+    const link = `${SITE_URL}${getCharacterPagePath(character.id)}`;
+    return `  <entry>
+    <title>${escapeXml(title)}</title>
+    <id>urn:hoyarchive:character:${escapeXml(character.id)}:${kind === 'added' ? 'added' : `updated:${date}`}</id>
+    <link rel="alternate" type="text/html" href="${escapeXml(link)}"/>
+    <updated>${date}T00:00:00Z</updated>
+    <author><name>${escapeXml(uploaderName || 'Unknown')}</name></author>
+    <category term="${escapeXml(character.game)}"/>
+    <summary type="text">${escapeXml(toPlainText(summary))}</summary>
+  </entry>`;
+}
+
+/**
+ * The feed for the given characters, with author names from `uploaders` (see uploaders.json).
+ * Its date is that of the newest entry rather than the build time, so rebuilding unchanged data
+ * gives an identical file.
+ */
+function buildFeed(characters, uploaders = []) {
+    assertSiteUrl();
+    const uploadersById = new Map(uploaders.map(uploader => [uploader.id, uploader]));
+    const events = characters
+        .filter(isPublished)
+        .flatMap(getCharacterEvents)
+        .sort((a, b) => b.date.localeCompare(a.date) || String(a.character.id).localeCompare(String(b.character.id)))
+        .slice(0, FEED_ENTRY_LIMIT);
+    const updated = events[0]?.date || '1970-01-01';
+
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(FEED_INFO.title)}</title>
+  <subtitle>${escapeXml(FEED_INFO.subtitle)}</subtitle>
+  <id>${FEED_INFO.id}</id>
+  <link rel="alternate" type="text/html" href="${escapeXml(SITE_URL)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(`${SITE_URL}feed.xml`)}"/>
+  <updated>${updated}T00:00:00Z</updated>
+  <generator>scripts/build-index.js</generator>
+${events.map(event => generateEntryXml(event, uploadersById)).join('\n')}
+</feed>
+`;
+}
+
+module.exports = { FEED_PATH, SITE_URL, assertSiteUrl, escapeXml, toPlainText, getCharacterPagePath, getCharacterEvents, buildFeed };
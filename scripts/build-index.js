@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+// Builds website/data.json, the lightweight index the grid loads, from the per-character files in
+// characters/<id>/character.json. The index keeps what cards, filters and search need; details
+// only the overlay shows (inclusion descriptions, gallery, older versions) stay in the character
+// files and are fetched when a character is opened. The uploaders and roles from uploaders.json
+// are copied in as they are. The Atom feed (feed.xml, see build-feed.js) is built from the same
+// files in the same run, and so are the static character pages and sitemap.xml (see
+// build-pages.js) and the list of files in each model archive (website/archives.json, see
+// build-catalogue.js). Whether a character's model archive is on disk and readable is recorded
+// too (modelAvailable), so cards can say so; scripts/check-assets.js reports the details.
+//
+// Usage: node scripts/build-index.js          rewrite website/data.json, feed.xml, the character
+//                                             pages, sitemap.xml and website/archives.json
+//        node scripts/build-index.js --check  exit with 1 if any of them is out of date
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { buildFeed, FEED_PATH } = require('./build-feed');
+const { buildPages } = require('./build-pages');
+const { buildCatalogue, CATALOGUE_PATH } = require('./build-catalogue');
+const { isModelAvailable } = require('./check-assets');
+
+const ROOT = path.resolve(__dirname, '..');
+const CHARACTERS_DIR = path.join(ROOT, 'characters');
+const INDEX_PATH = path.join(ROOT, 'website', 'data.json');
+const CHARACTER_FILE_NAME = 'character.json';
+const UPLOADERS_PATH = path.join(ROOT, 'uploaders.json');
+const INLINE_OBJECT_MAX_LENGTH = 120;
+
+const INDEX_INFO = {
+    about: 'Generated by scripts/build-index.js from characters/<id>/character.json and uploaders.json. Edit those files (see website/character.template.json) and rebuild instead of editing this one.'
+};
+
+/**
+ * JSON.stringify with 2-space indentation, except that objects/arrays holding only primitives are
+ * kept on one line when short (e.g. inclusions and links), which keeps the files easy to scan.
+ */
+function formatJson(value, indent = '') {
+    const isFlat = (v) => v !== null && typeof v === 'object' && Object.values(v).every(item => item === null || typeof item !== 'object');
+    if (value === null || typeof value !== 'object') return JSON.stringify(value);
+
+    const innerIndent = `${indent}  `;
+    if (Array.isArray(value)) {
+        if (value.length === 0) return '[]';
+        return `[\n${value.map(item => innerIndent + formatJson(item, innerIndent)).join(',\n')}\n${indent}]`;
+    }
+
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    if (entries.length === 0) return '{}';
+    if (isFlat(value)) {
+        const inline = `{ ${entries.map(([key, item]) => `${JSON.stringify(key)}: ${JSON.stringify(item)}`).join(', ')} }`;
+        if (inline.length + indent.length <= INLINE_OBJECT_MAX_LENGTH) return inline;
+    }
+    return `{\n${entries.map(([key, item]) => `${innerIndent}${JSON.stringify(key)}: ${formatJson(item, innerIndent)}`).join(',\n')}\n${indent}}`;
+}
+
+function readCharacterFiles() {
+    return fs.readdirSync(CHARACTERS_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => path.join(CHARACTERS_DIR, entry.name, CHARACTER_FILE_NAME))
+        .filter(filePath => fs.existsSync(filePath))
+        .map(filePath => {
+            try {
+                return { filePath, character: JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+            } catch (error) {
+                throw new Error(`${path.relative(ROOT, filePath)}: ${error.message}`);
+            }
+        });
+}
+
+/**
+ * `{ roles, uploaders }` from uploaders.json, or empty lists when there is no such file.
+ */
+function readUploaderRegistry() {
+    if (!fs.existsSync(UPLOADERS_PATH)) return { roles: [], uploaders: [] };
+    try {
+        const { roles = [], uploaders = [] } = JSON.parse(fs.readFileSync(UPLOADERS_PATH, 'utf8'));
+        return { roles, uploaders };
+    } catch (error) {
+        throw new Error(`${path.relative(ROOT, UPLOADERS_PATH)}: ${error.message}`);
+    }
+}
+
+/**
+ * The index entry for a character: everything except overlay-only details, plus `hasDetails`
+ * so the app knows to fetch the full file. Of the version history only the newest entry is kept,
+ * for the "Recently added & updated" section. `modelAvailable` says whether the model archive
+ * can actually be downloaded.
+ */
+function toIndexEntry(character) {
+    const entry = {};
+    Object.entries(character).forEach(([key, value]) => {
+        if (key === 'inclusions' && Array.isArray(value)) {
+            entry.inclusions = value.map(inclusion => ({ id: inclusion.id, name: inclusion.name }));
+        } else if (key === 'assets' && value && typeof value === 'object') {
+            const { gallery, ...indexAssets } = value;
+            entry.assets = indexAssets;
+        } else if (key === 'meta' && Array.isArray(value?.versions)) {
+            entry.meta = { ...value, versions: value.versions.slice(0, 1) };
+        } else {
+            entry[key] = value;
+        }
+    });
+    entry.hasDetails = true;
+    entry.modelAvailable = isModelAvailable(character);
+    return entry;
+}
+
+function buildIndex(files = readCharacterFiles(), registry = readUploaderRegistry()) {
+    files.forEach(({ filePath, character }) => {
+        const folderName = path.basename(path.dirname(filePath));
+        if (character.id !== folderName) {
+            console.warn(`Warning: ${path.relative(ROOT, filePath)} has id "${character.id}" but lives in characters/${folderName}/`);
+        }
+    });
+
+    // Oldest uploads first, matching the order characters were added in
+    const characters = files
+        .map(({ character }) => character)
+        .sort((a, b) => String(a.meta?.uploadDate ?? '').localeCompare(String(b.meta?.uploadDate ?? '')) || String(a.id).localeCompare(String(b.id)))
+        .map(toIndexEntry);
+
+    return `${formatJson({ dataInfo: INDEX_INFO, roles: registry.roles, uploaders: registry.uploaders, characters })}\n`;
+}
+
+function main() {
+    const files = readCharacterFiles();
+    const registry = readUploaderRegistry();
+    const index = buildIndex(files, registry);
+    const parsedIndex = JSON.parse(index);
+    const outputs = [
+        [INDEX_PATH, index],
+        [FEED_PATH, buildFeed(files.map(({ character }) => character), registry.uploaders)],
+        ...buildPages(parsedIndex, files),
+        [CATALOGUE_PATH, `${formatJson(buildCatalogue(parsedIndex.characters))}\n`]
+    ];
+
+    if (process.argv.includes('--check')) {
+        let isOutdated = false;
+        outputs.forEach(([outputPath, output]) => {
+            const relativePath = path.relative(ROOT, outputPath);
+            const current = fs.existsSync(outputPath) ? fs.readFileSync(outputPath, 'utf8') : '';
+            if (current !== output) {
+                console.error(`${relativePath} is out of date. Run: node scripts/build-index.js`);
+                isOutdated = true;
+            } else {
+                console.log(`${relativePath} is up to date.`);
+            }
+        });
+        if (isOutdated) process.exit(1);
+        return;
+    }
+
+    outputs.forEach(([outputPath, output]) => {
+        fs.writeFileSync(outputPath, output);
+        console.log(`Wrote ${path.relative(ROOT, outputPath)}.`);
+    });
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`Failed to build the index: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { formatJson, readCharacterFiles, readUploaderRegistry, toIndexEntry, buildIndex };
@@ -0,0 +1,180 @@
+// Builds a static page for every character (characters/<id>/index.html) and sitemap.xml, so shared
+// links and search engines see the character instead of an empty grid. Each page is index.html
+// with the grid and the character's overlay already filled in, rendered by the site's own
+// templates (createCharacterCardHTML, generateCharacterDetailHTML): the scripts in website/ are
+// run here against a stub DOM. The page's <head> gets a title, description and OpenGraph/Twitter
+// tags with the splash image. The app then loads as usual and takes over the page (see
+// staticCharacterId in website/app.js). Used by build-index.js, which passes the data.json it just
+// built, so the pages are rebuilt (and checked) together with it. Link previews and sitemaps need
+// absolute URLs, so building fails unless SITE_URL in build-feed.js is the site's full address.
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { SITE_URL, assertSiteUrl, escapeXml, toPlainText, getCharacterPagePath } = require('./build-feed');
+
+const ROOT = path.resolve(__dirname, '..');
+const TEMPLATE_PATH = path.join(ROOT, 'index.html');
+const SCHEMA_PATH = path.join(ROOT, 'website', 'character.schema.json');
+const SITEMAP_PATH = path.join(ROOT, 'sitemap.xml');
+const PAGE_FILE_NAME = 'index.html';
+const SITE_NAME = 'HoYarchive';
+const DESCRIPTION_MAX_LENGTH = 200;
+const FALLBACK_IMAGE = 'characters/generic/splash.png';
+
+function truncate(text, maxLength) {
+    return text.length <= maxLength ? text : `${text.slice(0, maxLength - 1).replace(/\s+\S*$/, '')}…`;
+}
+
+/**
+ * Runs the site scripts listed in index.html in a sandbox with just enough of a browser for them
+ * to load: no elements exist, storage is empty and the language is English. Returns the sandbox,
+ * whose functions and top-level variables can then be used through vm.runInContext.
+ */
+function createSiteSandbox(template) {
+    const noop = () => {};
+    const document = {
+        documentElement: { dataset: {} },
+        getElementById: () => null,
+        querySelector: () => null,
+        querySelectorAll: () => [],
+        addEventListener: noop
+    };
+    const context = vm.createContext({
+        console,
+        document,
+        localStorage: { getItem: () => null, setItem: noop, removeItem: noop },
+        navigator: { languages: ['en'], language: 'en', onLine: true },
+        location: { pathname: '/', search: '', hash: '' },
+        history: { replaceState: noop, pushState: noop },
+        requestAnimationFrame: noop,
+        setTimeout: noop,
+        clearTimeout: noop,
+        CSS: { escape: value => String(value) }
+    });
+    context.window = context;
+
+    const scripts = Array.from(template.matchAll(/<script src="(website\/(?!vendor\/)[^"]+\.js)"/g), match => match[1]);
+    scripts.forEach(script => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, script), 'utf8'), context, { filename: script });
+    });
+    return context;
+}
+
+/**
+ * Evaluates `code` in the sandbox with `values` as local variables and returns the result.
+ */
+function runInSandbox(sandbox, code, values = {}) {
+    return vm.runInContext(`((${Object.keys(values).join(', ')}) => ${code})`, sandbox)(...Object.values(values));
+}
+
+/**
+ * Replaces `pattern` in the page template, failing loudly when index.html no longer contains it.
+ */
+function replaceOnce(html, pattern, replacement) {
+    if (!pattern.test(html)) throw new Error(`index.html no longer matches ${pattern}, update build-pages.js`);
+    return html.replace(pattern, () => replacement);
+}
+
+function generateHeadHTML(character) {
+    const url = `${SITE_URL}${getCharacterPagePath(character.id)}`;
+    const title = `${character.name} – ${SITE_NAME}`;
+    const description = truncate(toPlainText(character.description) || `${character.name} in the ${SITE_NAME} model archive.`, DESCRIPTION_MAX_LENGTH);
+    const image = `${SITE_URL}${character.assets?.splashImage || FALLBACK_IMAGE}`;
+    const tags = [
+        ['property', 'og:type', 'article'],
+        ['property', 'og:site_name', SITE_NAME],
+        ['property', 'og:title', character.name],
+        ['property', 'og:description', description],
+        ['property', 'og:image', image],
+        ['property', 'og:image:alt', `Splash art for ${character.name}`],
+        ['property', 'og:url', url],
+        ['name', 'twitter:card', 'summary_large_image'],
+        ['name', 'twitter:title', character.name],
+        ['name', 'twitter:description', description],
+        ['name', 'twitter:image', image]
+    ];
+    return `<title>${escapeXml(title)}</title>
+    <meta name="description" content="${escapeXml(description)}">
+    <link rel="canonical" href="${escapeXml(url)}">
+${tags.map(([attribute, key, value]) => `    <meta ${attribute}="${key}" content="${escapeXml(value)}">`).join('\n')}`;
+}
+
+/**
+ * The static page of one character: index.html with its cards and open overlay filled in.
+ * `<base>` points back at the site root, so every relative path in the template keeps working.
+ */
+function buildCharacterPage(template, sandbox, character, cardsHTML) {
+    const overlayId = `overlayCharName-${character.id || 'unknown-character'}`;
+
+    let html = template;
+    html = replaceOnce(html, /<html lang="en">/, `<html lang="en" data-static-character="${escapeXml(character.id)}">`);
+    html = replaceOnce(html, /<meta charset="UTF-8">/, '<meta charset="UTF-8">\n    <base href="../../">');
+    html = replaceOnce(html, /<title>[^<]*<\/title>\s*<meta name="description" content="[^"]*">/, generateHeadHTML(character));
+    html = replaceOnce(html, /<div class="character-grid" id="characterGrid">\s*<!--[^>]*-->/, `<div class="character-grid" id="characterGrid">${cardsHTML}`);
+    html = replaceOnce(html, /<div class="loading" id="loading"/, '<div class="loading" id="loading" style="display: none;"');
+    html = replaceOnce(
+        html,
+        /<div id="characterDetailOverlay" class="character-detail-overlay" role="dialog" aria-modal="true" aria-hidden="true"\s+hidden>/,
+        `<div id="characterDetailOverlay" class="character-detail-overlay active" role="dialog" aria-modal="true" aria-hidden="false" aria-labelledby="${escapeXml(overlayId)}">`
+    );
+    html = replaceOnce(
+        html,
+        /<div id="overlayContent" class="overlay-content-scrollable" tabindex="-1">\s*<!--[^>]*-->/,
+        `<div id="overlayContent" class="overlay-content-scrollable" tabindex="-1">${runInSandbox(sandbox, 'generateCharacterDetailHTML(character)', { character })}`
+    );
+    return html;
+}
+
+function buildSitemap(characters) {
+    const urls = [
+        { loc: SITE_URL, lastmod: characters.map(getLastModified).filter(Boolean).sort().pop() },
+        ...characters.map(character => ({ loc: `${SITE_URL}${getCharacterPagePath(character.id)}`, lastmod: getLastModified(character) }))
+    ];
+    return `<?xml version="1.0" encoding="utf-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(({ loc, lastmod }) => `  <url>
+    <loc>${escapeXml(loc)}</loc>${lastmod ? `\n    <lastmod>${lastmod}</lastmod>` : ''}
+  </url>`).join('\n')}
+</urlset>
+`;
+}
+
+function getLastModified(character) {
+    return character.meta?.updatedDate || character.meta?.uploadDate || null;
+}
+
+/**
+ * The pages and the sitemap as `[filePath, content]` pairs. `index` is the parsed data.json and
+ * `files` the character files as read by build-index.js, whose full entries fill the overlays.
+ * Characters the app hides (drafts, templates) get no page.
+ */
+function buildPages(index, files) {
+    assertSiteUrl();
+    const template = fs.readFileSync(TEMPLATE_PATH, 'utf8');
+    const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
+    const sandbox = createSiteSandbox(template);
+
+    // The same steps as loadCharacters in website/app.js
+    const characters = runInSandbox(sandbox, `{
+        dataValidationResult = validateCharacterData(data, schema);
+        characters = dataValidationResult.characters;
+        setUploaderRegistry(dataValidationResult.uploaders, dataValidationResult.roles);
+        filteredCharacters = getFilteredAndSortedCharacters();
+        return characters;
+    }`, { data: index, schema });
+    const cardsHTML = runInSandbox(sandbox, 'filteredCharacters.map(character => createCharacterCardHTML(character)).join("")');
+
+    const detailsById = new Map(files.map(({ character }) => [String(character.id), character]));
+    return [
+        ...characters.map(indexEntry => {
+            const character = detailsById.get(String(indexEntry.id)) || indexEntry;
+            return [path.join(ROOT, 'characters', String(indexEntry.id), PAGE_FILE_NAME), buildCharacterPage(template, sandbox, { ...character, modelAvailable: indexEntry.modelAvailable }, cardsHTML)];
+        }),
+        [SITEMAP_PATH, buildSitemap(characters)]
+    ];
+}
+
+module.exports = { SITEMAP_PATH, buildPages };
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+// Checks the files in characters/ against the character files: every path in `assets` (splash,
+// model archive, gallery images) has to exist, images have to stay below IMAGE_SIZE_LIMIT, model
+// archives have to be readable ZIPs that match assets.modelSha256 when it is set, and every folder
+// has to belong to a character. build-index.js uses the archive check to mark characters whose
+// model is unavailable. The admin panel (website/asset-check.js, open index.html#admin) runs the
+// same checks over HTTP, except for orphan folders, which a browser can't list.
+//
+// Usage: node scripts/check-assets.js         print the issues, exit with 1 if there are errors
+//        node scripts/check-assets.js --json  print the issues as JSON
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const CHARACTERS_DIR = path.join(ROOT, 'characters');
+const CHARACTER_FILE_NAME = 'character.json';
+// Keep in sync with ASSET_IMAGE_SIZE_LIMIT in website/asset-check.js
+const IMAGE_SIZE_LIMIT = 1024 * 1024;
+// Fallback images the site shows for characters without (or with a broken) splash
+const SHARED_ASSET_FOLDER = 'generic';
+const SHARED_ASSET_PATHS = ['characters/generic/splash.png', 'characters/generic/splash_error.png'];
+
+const ZIP_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP_CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const ZIP_END_RECORD_SIZE = 22;
+const ZIP_CENTRAL_HEADER_SIZE = 46;
+const ZIP_MAX_COMMENT_LENGTH = 0xffff;
+const ZIP_UTF8_FLAG = 0x0800; // Names are UTF-8 instead of code page 437
+
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Same default as getModelDownloadPath in website/app.js.
+ */
+function getModelPath(character) {
+    return character.assets?.modelDownload || `characters/${character.id}/model.zip`;
+}
+
+function isExternalPath(assetPath) {
+    return /^[a-z][a-z\d+.-]*:/i.test(assetPath) || assetPath.startsWith('//');
+}
+
+/**
+ * The files a character points at, each `{ path, file, kind }` where `path` is the field in the
+ * character file and `kind` is "image" or "model".
+ */
+function getCharacterAssets(character) {
+    const assets = character.assets || {};
+    return [
+        ...(assets.splashImage ? [{ path: 'assets.splashImage', file: assets.splashImage, kind: 'image' }] : []),
+        { path: assets.modelDownload ? 'assets.modelDownload' : '(default model path)', file: getModelPath(character), kind: 'model' },
+        ...(Array.isArray(assets.gallery) ? assets.gallery : [])
+            .map((image, index) => ({ path: `assets.gallery[${index}].src`, file: image?.src, kind: 'image' }))
+            .filter(asset => typeof asset.file === 'string' && asset.file)
+    ];
+}
+
+/**
+ * Reads the central directory of a ZIP file: `{ entryCount, files }`, where `files` lists the
+ * files (not folders) as `{ path, size }` with their uncompressed size, or is null for ZIP64
+ * archives, which only JSZip reads. Throws when the file isn't a ZIP or is cut off, which is what
+ * makes JSZip fail in the browser as well.
+ */
+function readZipDirectory(buffer) {
+    const searchStart = Math.max(0, buffer.length - ZIP_END_RECORD_SIZE - ZIP_MAX_COMMENT_LENGTH);
+    let endOffset = -1;
+    for (let offset = buffer.length - ZIP_END_RECORD_SIZE; offset >= searchStart; offset--) {
+        if (buffer.readUInt32LE(offset) === ZIP_END_OF_CENTRAL_DIRECTORY) {
+            endOffset = offset;
+            break;
+        }
+    }
+    if (endOffset < 0) throw new Error('no end of central directory record, so it is not a ZIP file or it is cut off');
+
+    const entryCount = buffer.readUInt16LE(endOffset + 10);
+    const directorySize = buffer.readUInt32LE(endOffset + 12);
+    const directoryOffset = buffer.readUInt32LE(endOffset + 16);
+    if (directoryOffset === 0xffffffff || entryCount === 0xffff) return { entryCount, files: null }; // ZIP64
+    if (directoryOffset + directorySize > endOffset) throw new Error('the central directory points past the end of the file');
+
+    const files = [];
+    let offset = directoryOffset;
+    for (let index = 0; index < entryCount; index++) {
+        if (offset + ZIP_CENTRAL_HEADER_SIZE > endOffset || buffer.readUInt32LE(offset) !== ZIP_CENTRAL_DIRECTORY_HEADER) {
+            throw new Error(`entry ${index + 1} of ${entryCount} in the central directory is damaged`);
+        }
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const nameEncoding = buffer.readUInt16LE(offset + 8) & ZIP_UTF8_FLAG ? 'utf8' : 'latin1';
+        const filePath = buffer.toString(nameEncoding, offset + ZIP_CENTRAL_HEADER_SIZE, offset + ZIP_CENTRAL_HEADER_SIZE + nameLength);
+        if (!filePath.endsWith('/')) files.push({ path: filePath, size: buffer.readUInt32LE(offset + 24) });
+        offset += ZIP_CENTRAL_HEADER_SIZE + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+    return { entryCount, files };
+}
+
+function readZipEntryCount(buffer) {
+    return readZipDirectory(buffer).entryCount;
+}
+
+/**
+ * Problems with a character's model archive, as issue messages. Archives outside the tree (full
+ * URLs) aren't checked.
+ */
+function checkModelArchive(character) {
+    const modelPath = getModelPath(character);
+    if (isExternalPath(modelPath)) return [];
+
+    const filePath = path.join(ROOT, modelPath);
+    if (!fs.existsSync(filePath)) return [`${modelPath} does not exist`];
+
+    const buffer = fs.readFileSync(filePath);
+    const messages = [];
+    try {
+        if (readZipEntryCount(buffer) === 0) messages.push(`${modelPath} is an empty ZIP file`);
+    } catch (error) {
+        messages.push(`${modelPath} can't be read: ${error.message}`);
+    }
+    const expectedChecksum = character.assets?.modelSha256;
+    if (expectedChecksum) {
+        const actualChecksum = crypto.createHash('sha256').update(buffer).digest('hex');
+        if (actualChecksum !== expectedChecksum.toLowerCase()) {
+            messages.push(`${modelPath} doesn't match assets.modelSha256 (its SHA-256 is ${actualChecksum})`);
+        }
+    }
+    return messages;
+}
+
+function isModelAvailable(character) {
+    return checkModelArchive(character).length === 0;
+}
+
+/**
+ * All issues, each `{ severity, characterId, path, message }` like the data check in the app.
+ * `files` are the character files as read by build-index.js (`{ filePath, character }`).
+ */
+function checkAssets(files) {
+    const issues = [];
+    const report = (severity, characterId, issuePath, message) => issues.push({ severity, characterId, path: issuePath, message });
+
+    files.forEach(({ character }) => {
+        getCharacterAssets(character).forEach(asset => {
+            if (asset.kind === 'model') {
+                checkModelArchive(character).forEach(message => report('error', character.id, asset.path, message));
+                return;
+            }
+            if (isExternalPath(asset.file)) return;
+            const filePath = path.join(ROOT, asset.file);
+            if (!fs.existsSync(filePath)) {
+                report('error', character.id, asset.path, `${asset.file} does not exist`);
+            } else if (fs.statSync(filePath).size > IMAGE_SIZE_LIMIT) {
+                report('warning', character.id, asset.path, `${asset.file} is ${formatBytes(fs.statSync(filePath).size)}, more than the ${formatBytes(IMAGE_SIZE_LIMIT)} an image should have`);
+            }
+        });
+    });
+
+    SHARED_ASSET_PATHS.forEach(assetPath => {
+        if (!fs.existsSync(path.join(ROOT, assetPath))) report('error', null, assetPath, 'does not exist, so characters without a working splash show a broken image');
+    });
+
+    const characterIds = new Set(files.map(({ character }) => String(character.id)));
+    fs.readdirSync(CHARACTERS_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && entry.name !== SHARED_ASSET_FOLDER)
+        .forEach(entry => {
+            const folder = `characters/${entry.name}/`;
+            if (!fs.existsSync(path.join(CHARACTERS_DIR, entry.name, CHARACTER_FILE_NAME))) {
+                report('warning', null, folder, `has no ${CHARACTER_FILE_NAME}, so nothing in it is shown on the site`);
+            } else if (!characterIds.has(entry.name)) {
+                report('warning', null, folder, 'holds a character with a different id, so its assets aren\'t where the site looks for them');
+            }
+        });
+    return issues;
+}
+
+function main() {
+    const { readCharacterFiles } = require('./build-index');
+    const issues = checkAssets(readCharacterFiles());
+
+    if (process.argv.includes('--json')) {
+        console.log(JSON.stringify(issues, null, 2));
+    } else if (issues.length === 0) {
+        console.log('All assets are in place.');
+    } else {
+        issues.forEach(issue => {
+            console.log(`${issue.severity.padEnd(7)} ${issue.characterId ?? '-'}  ${issue.path}: ${issue.message}`);
+        });
+        const errorCount = issues.filter(issue => issue.severity === 'error').length;
+        console.log(`\n${errorCount} error(s), ${issues.length - errorCount} warning(s).`);
+    }
+    if (issues.some(issue => issue.severity === 'error')) process.exit(1);
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (error) {
+        console.error(`Failed to check the assets: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { IMAGE_SIZE_LIMIT, getModelPath, isExternalPath, getCharacterAssets, readZipDirectory, readZipEntryCount, checkModelArchive, isModelAvailable, checkAssets };
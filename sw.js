@@ -0,0 +1,150 @@
+// --- SERVICE WORKER ---
+// Lives in the site root so its scope covers index.html, website/ and characters/.
+//
+// - App shell (HTML, CSS, scripts, vendored JSZip): precached on install, network-first so a
+//   deploy shows up on the next visit and the cached copy is only used offline.
+// - Character data and images (website/data.json, website/archives.json,
+//   characters/<id>/character.json, splash and gallery images): stale-while-revalidate.
+// - Model archives: only cached when the user saves them for offline use (website/offline.js
+//   writes them into MODEL_CACHE); otherwise they always come from the network.
+// - Fonts and the three.js build: versioned third-party files, cache-first.
+// - Pre-rendered character pages (characters/<id>/): network-first like the shell. One that
+//   wasn't visited before redirects to index.html?character=<id> offline.
+//
+// Cache names are shared with website/offline.js. Bump a version to drop that cache on activate.
+
+const SHELL_CACHE = 'hoyarchive-shell-v1';
+const DATA_CACHE = 'hoyarchive-data-v1';
+const MODEL_CACHE = 'hoyarchive-models-v1';
+const RUNTIME_CACHE = 'hoyarchive-runtime-v1';
+const CURRENT_CACHES = [SHELL_CACHE, DATA_CACHE, MODEL_CACHE, RUNTIME_CACHE];
+
+// Keep in sync with the <script> and <link> tags in index.html
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'website/styles.css',
+    'website/icon.png',
+    'website/character.schema.json',
+    'website/theme.js',
+    'website/vendor/jszip.min.js',
+    'website/i18n.js',
+    'website/locales/de.json',
+    'website/rich-text.js',
+    'website/games.js',
+    'website/validation.js',
+    'website/search.js',
+    'website/image-decoders.js',
+    'website/viewer.js',
+    'website/archive-browser.js',
+    'website/gallery.js',
+    'website/offline.js',
+    'website/downloads.js',
+    'website/submit.js',
+    'website/library.js',
+    'website/compare.js',
+    'website/whats-new.js',
+    'website/uploaders.js',
+    'website/asset-check.js',
+    'website/export.js',
+    'website/keyboard.js',
+    'website/app.js'
+];
+
+const RUNTIME_CACHE_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'cdn.jsdelivr.net'];
+const DATA_PATH_PATTERN = /\/(?:website\/(?:data|archives)\.json|characters\/[^/]+\/character\.json)$/;
+const CHARACTER_IMAGE_PATTERN = /\/characters\/.+\.(?:png|jpe?g|webp|gif)$/i;
+const MODEL_ARCHIVE_PATTERN = /\/characters\/.+\.zip$/i;
+const CHARACTER_PAGE_PATTERN = /\/characters\/([^/]+)\/(?:index\.html)?$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith('hoyarchive-') && !CURRENT_CACHES.includes(name))
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin !== self.location.origin) {
+        if (RUNTIME_CACHE_HOSTS.includes(url.hostname)) {
+            event.respondWith(cacheFirst(request, RUNTIME_CACHE));
+        }
+        return;
+    }
+
+    if (MODEL_ARCHIVE_PATTERN.test(url.pathname)) {
+        event.respondWith(savedOrNetwork(request));
+    } else if (DATA_PATH_PATTERN.test(url.pathname) || CHARACTER_IMAGE_PATTERN.test(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event, DATA_CACHE));
+    } else if (request.mode === 'navigate' && CHARACTER_PAGE_PATTERN.test(url.pathname)) {
+        // The cached index.html can't stand in here: its relative paths would resolve below characters/
+        const [, characterId] = url.pathname.match(CHARACTER_PAGE_PATTERN);
+        event.respondWith(networkFirst(request, SHELL_CACHE)
+            .catch(() => Response.redirect(new URL(`index.html?character=${characterId}`, self.registration.scope).href, 302)));
+    } else if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, SHELL_CACHE, 'index.html'));
+    } else if (url.pathname.startsWith(new URL('website/', self.registration.scope).pathname)) {
+        event.respondWith(networkFirst(request, SHELL_CACHE));
+    }
+});
+
+// --- STRATEGIES ---
+async function networkFirst(request, cacheName, fallbackPath = null) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        // Navigations with a query string (deep links) fall back to the cached index.html
+        const cached = await cache.match(request, { ignoreSearch: true }) || (fallbackPath && await cache.match(fallbackPath));
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(event.request);
+    const update = fetch(event.request).then(response => {
+        if (response.ok) cache.put(event.request, response.clone());
+        return response;
+    });
+
+    if (cached) {
+        event.waitUntil(update.catch(() => {})); // Refresh in the background, offline is fine
+        return cached;
+    }
+    return update;
+}
+
+async function cacheFirst(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    // Opaque responses (no-cors stylesheets/fonts) report status 0 but are still usable
+    if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+    return response;
+}
+
+async function savedOrNetwork(request) {
+    const saved = await caches.match(request, { cacheName: MODEL_CACHE });
+    return saved || fetch(request);
+}
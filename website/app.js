@@ -1,32 +1,103 @@
 // --- STATE & CONFIGURATION ---
 let characters = [];
 let filteredCharacters = [];
-let currentFilters = {
+let dataValidationResult = null; // Report from validateCharacterData for the loaded data
+let currentFilters = { // Facet filters hold arrays of selected values (multi-select)
     search: '',
-    path: '',
-    element: ''
+    path: [],
+    element: [],
+    weapon: [],
+    faction: [],
+    rarity: [],
+    uploader: []
 };
+let currentGame = ''; // Key of GAMES, '' shows every game
+let currentSort = 'default';
+let currentList = ''; // '' shows every character, otherwise 'favorites' or a collection ID (see library.js)
+let searchIndex = []; // Built by buildSearchIndex once the data is loaded
+let currentSearchResults = null; // Result of searchCharacters for the current query, null without one
 let activeCharacterCardElement = null; // To store the card that opened the overlay
+let openCharacterId = null; // ID of the character currently shown in the overlay
+let openUploaderId = null; // ID of the uploader whose profile is open (see uploaders.js)
+let isRestoringUrlState = false; // Suppresses history writes while applying state from the URL
 let focusableElementsInOverlay = []; // For focus trapping
+let overlayFocusObserver = null; // Recomputes focusableElementsInOverlay when the overlay content changes
+let isFocusableUpdateScheduled = false;
+let dataSchema = null; // character.schema.json, also used to check lazily loaded detail files
+let renderedCardCount = 0; // Cards of filteredCharacters currently in the grid
+let gridSentinelObserver = null;
+const characterDetailsCache = new Map(); // Character ID → promise of the full entry
+// Set on the pre-rendered character pages (characters/<id>/index.html, see scripts/build-pages.js),
+// which open that character until the app navigates away from the page's own address
+const staticCharacterId = document.documentElement.dataset.staticCharacter || null;
+const staticPagePath = window.location.pathname;
 
 // --- CONSTANTS ---
 const KEY_ESCAPE = 'Escape';
 const KEY_ENTER = 'Enter';
 const KEY_SPACE = ' ';
 const KEY_SLASH = '/';
+const KEY_QUESTION_MARK = '?';
 const KEY_TAB = 'Tab';
 const DEBOUNCE_DELAY_SEARCH = 300;
 const FILTER_APPLY_DELAY = 50;
 const OVERLAY_TRANSITION_FALLBACK_DELAY = 400;
+const GRID_RENDER_BATCH_SIZE = 24;
+const GRID_PRELOAD_MARGIN = '600px'; // Render the next batch before the end of the grid is visible
+const URL_PARAM_SEARCH = 'q';
+const URL_PARAM_PATH = 'path';
+const URL_PARAM_ELEMENT = 'element';
+const URL_PARAM_GAME = 'game';
+const URL_PARAM_WEAPON = 'weapon';
+const URL_PARAM_FACTION = 'faction';
+const URL_PARAM_RARITY = 'rarity';
+const URL_PARAM_UPLOADER = 'uploader';
+const URL_PARAM_SORT = 'sort';
+const URL_PARAM_CHARACTER = 'character';
+const URL_PARAM_LIST = 'list';
+const URL_PARAM_PROFILE = 'profile';
+const DEFAULT_SORT = 'default';
+
+// Multi-select facets, each backed by a `.filter-dropdown[data-filter]` in index.html.
+// `gameField` facets take their label and option order from the selected game's vocabulary.
+const FILTER_FACETS = {
+    element: { gameField: true, urlParam: URL_PARAM_ELEMENT, getValue: c => c.element || '' },
+    path: { gameField: true, urlParam: URL_PARAM_PATH, getValue: c => c.path || '' },
+    weapon: { gameField: true, urlParam: URL_PARAM_WEAPON, getValue: c => c.weapon || '' },
+    faction: { gameField: true, urlParam: URL_PARAM_FACTION, getValue: c => c.faction || '' },
+    rarity: {
+        label: 'Rarity',
+        urlParam: URL_PARAM_RARITY,
+        getValue: c => (c.rarity ? String(c.rarity) : ''),
+        formatValue: value => `${value}★`,
+        compareValues: (a, b) => Number(b) - Number(a)
+    },
+    uploader: { label: 'Uploader', urlParam: URL_PARAM_UPLOADER, getValue: getUploaderName }
+};
+
+// Array.prototype.sort is stable, so ties (and the default order) keep the data.json order
+const SORT_OPTIONS = {
+    default: { label: 'Default order', compare: () => 0 },
+    name: { label: 'Name (A–Z)', compare: (a, b) => compareText(a.name, b.name) },
+    rarity: { label: 'Rarity (highest first)', compare: (a, b) => (b.rarity || 0) - (a.rarity || 0) || compareText(a.name, b.name) },
+    date: { label: 'Upload date (newest first)', compare: (a, b) => compareText(b.meta?.uploadDate, a.meta?.uploadDate) || compareText(a.name, b.name) },
+    updated: { label: 'Last updated (newest first)', compare: (a, b) => compareText(getLastUpdateDate(b), getLastUpdateDate(a)) || compareText(a.name, b.name) },
+    uploader: { label: 'Uploader (A–Z)', compare: (a, b) => compareText(getUploaderName(a), getUploaderName(b)) || compareText(a.name, b.name) }
+};
 
 // --- DOM ELEMENTS ---
 const searchInput = document.getElementById('searchInput');
-const pathFilterContainer = document.getElementById('pathFilter');
-const elementFilterContainer = document.getElementById('elementFilter');
+const filterDropdowns = Object.fromEntries(
+    Array.from(document.querySelectorAll('.filter-dropdown[data-filter]')).map(dropdown => [dropdown.dataset.filter, dropdown])
+);
+const sortDropdown = document.getElementById('sortControl');
+const gameSwitcher = document.getElementById('gameSwitcher');
 const clearFiltersBtn = document.getElementById('clearFilters');
 const characterGrid = document.getElementById('characterGrid');
+const gridSentinel = document.getElementById('gridSentinel');
 const noResults = document.getElementById('noResults');
 const loadingOverlay = document.getElementById('loading');
+const dataReportContainer = document.getElementById('dataReport');
 
 const characterDetailOverlay = document.getElementById('characterDetailOverlay');
 const overlayContent = document.getElementById('overlayContent');
@@ -36,56 +107,166 @@ const overlayCloseBtn = document.getElementById('overlayCloseBtn');
 
 // --- INITIALIZATION ---
 document.addEventListener('DOMContentLoaded', async () => {
-    showLoading();
+    if (!staticCharacterId) showLoading(); // A pre-rendered page already shows its content
     try {
+        await initializeI18n();
+        initializeThemePicker();
         await loadCharacters();
+        populateGameSwitcher();
         populateDynamicDropdowns();
         initializeEventListeners();
-        renderCharacters();
+        initializeKeyboardNavigation();
+        initializeLightbox();
+        initializeOfflineSupport();
+        initializeSubmissionWizard();
+        initializeLibrary();
+        initializeCompare();
+        initializeExport();
+        initializeWhatsNew();
+        initializeUploaderProfiles();
+        initializeAssetCheck();
+        restoreStateFromUrl({ replaceHistory: true });
     } catch (error) {
         console.error('Failed to initialize application:', error);
-        showError(error.message || 'Failed to load character data. Please try refreshing the page.');
+        showError(error.message || t('Failed to load character data. Please try refreshing the page.'));
     } finally {
         hideLoading();
     }
 });
 
 // --- DYNAMIC DROPDOWN POPULATION ---
+/**
+ * Builds the facet and sort dropdowns for the selected game. Called again whenever the game
+ * changes; current selections are kept where the new options still contain them.
+ */
 function populateDynamicDropdowns() {
-    const paths = Array.from(new Set(characters.map(c => c.path).filter(Boolean))).sort();
-    const elements = Array.from(new Set(characters.map(c => c.element).filter(Boolean))).sort();
+    const gameCharacters = characters.filter(characterMatchesGame);
+
+    Object.entries(FILTER_FACETS).forEach(([filterType, facet]) => {
+        const dropdown = filterDropdowns[filterType];
+        const label = getFacetLabel(filterType);
+        const compareValues = facet.gameField
+            ? (a, b) => compareGameFieldValues(currentGame, filterType, a, b)
+            : facet.compareValues || compareText;
+        const values = Array.from(new Set(gameCharacters.map(facet.getValue).filter(Boolean))).sort(compareValues);
+
+        dropdown.dataset.label = t(label);
+        dropdown.querySelector('.filter-dropdown-content').setAttribute('aria-label', t(label));
+        dropdown.querySelector('.filter-dropdown-content').innerHTML = [
+            buildFilterOptionHTML('', t(`All ${pluralizeLabel(label)}`), true),
+            ...values.map(value => buildFilterOptionHTML(value, formatFacetValue(facet, value), false))
+        ].join('');
+        dropdown.hidden = values.length === 0; // e.g. Genshin has no paths
+        initializeDropdown(dropdown, filterType);
+        currentFilters[filterType] = setDropdownSelection(dropdown, currentFilters[filterType]);
+    });
+
+    sortDropdown.querySelector('.filter-dropdown-content').innerHTML = Object.entries(SORT_OPTIONS)
+        .map(([value, option]) => buildFilterOptionHTML(value, t(option.label), value === DEFAULT_SORT, { showCount: false }))
+        .join('');
+    initializeDropdown(sortDropdown, 'sort');
+    currentSort = setSortSelection(currentSort);
+
+    updateFacetCounts();
+}
+
+function getFacetLabel(filterType) {
+    const facet = FILTER_FACETS[filterType];
+    return facet.gameField ? getGameFieldLabel(currentGame, filterType) : facet.label;
+}
+
+function pluralizeLabel(label) {
+    return /[^aeiou]y$/i.test(label) ? `${label.slice(0, -1)}ies` : `${label}s`;
+}
+
+function buildFilterOptionHTML(value, label, isSelected, { showCount = true } = {}) {
+    return `
+        <div class="filter-option${isSelected ? ' selected' : ''}" role="option" tabindex="-1" data-value="${escapeHTML(value)}" aria-selected="${isSelected}">
+            <span class="filter-option-label">${escapeHTML(label)}</span>${showCount ? ' <span class="filter-option-count"></span>' : ''}
+        </div>`;
+}
+
+function formatFacetValue(facet, value) {
+    return facet.formatValue ? facet.formatValue(value) : value;
+}
 
-    function buildOptions(options, defaultTextLabel) {
-        let html = `<div class="filter-option" role="option" data-value="" data-default-text="${defaultTextLabel}" aria-selected="true">All ${defaultTextLabel}s</div>`;
-        options.forEach(opt => {
-            html += `<div class="filter-option" role="option" data-value="${opt}" aria-selected="false">${opt}</div>`;
+/**
+ * Shows how many characters each option would match. A facet's own selection is ignored for its
+ * counts, so options stay meaningful while several values of the same facet are ticked.
+ */
+function updateFacetCounts() {
+    Object.entries(FILTER_FACETS).forEach(([filterType, facet]) => {
+        const matching = characters.filter(character => characterMatchesFilters(character, filterType));
+        const counts = new Map();
+        matching.forEach(character => {
+            const value = facet.getValue(character);
+            counts.set(value, (counts.get(value) || 0) + 1);
         });
-        return html;
-    }
 
-    const pathDropdownContent = pathFilterContainer.querySelector('.filter-dropdown-content');
-    pathDropdownContent.innerHTML = buildOptions(paths, 'Path');
+        filterDropdowns[filterType].querySelectorAll('.filter-option').forEach(option => {
+            const count = option.dataset.value ? counts.get(option.dataset.value) || 0 : matching.length;
+            const countElement = option.querySelector('.filter-option-count');
+            if (countElement) countElement.textContent = `(${count})`;
+            option.classList.toggle('empty', count === 0);
+        });
+    });
+    updateListCounts();
+}
+
+// --- GAME SWITCHER ---
+function populateGameSwitcher() {
+    const counts = new Map();
+    characters.forEach(character => counts.set(character.game, (counts.get(character.game) || 0) + 1));
+
+    const buttons = [['', t('All Games'), characters.length], ...Object.entries(GAMES).map(([gameId, game]) => [gameId, game.shortName, counts.get(gameId) || 0])];
+    gameSwitcher.innerHTML = buttons.map(([gameId, label, count]) => `
+        <button type="button" class="game-switcher-btn${gameId ? ` game-${gameId}` : ''}" data-game="${gameId}" aria-pressed="${gameId === currentGame}"${count === 0 ? ' disabled' : ''}${gameId ? ` title="${escapeHTML(GAMES[gameId].name)}"` : ''}>
+            ${escapeHTML(label)} <span class="game-switcher-count">${formatNumber(count)}</span>
+        </button>
+    `).join('');
+}
+
+function updateGameSwitcher() {
+    gameSwitcher.querySelectorAll('.game-switcher-btn').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.game === currentGame));
+    });
+}
 
-    const elementDropdownContent = elementFilterContainer.querySelector('.filter-dropdown-content');
-    elementDropdownContent.innerHTML = buildOptions(elements, 'Element');
+function handleGameSelect(e) {
+    const button = e.target.closest('.game-switcher-btn');
+    if (!button || button.dataset.game === currentGame) return;
 
-    initializeDropdown(pathFilterContainer, 'path');
-    initializeDropdown(elementFilterContainer, 'element');
+    currentGame = button.dataset.game;
+    updateGameSwitcher();
+    populateDynamicDropdowns(); // Vocabularies differ per game
+    applyFilters();
+}
+
+function characterMatchesGame(character) {
+    return !currentGame || character.game === currentGame;
 }
 
 // --- DATA HANDLING ---
 async function loadCharacters() {
     try {
-        const response = await fetch('website/data.json');
+        const [response, schema] = await Promise.all([fetch('website/data.json'), loadDataSchema()]);
+        dataSchema = schema;
         if (!response.ok) {
             throw new Error(`HTTP error ${response.status}: ${response.statusText} while fetching character data.`);
         }
         const data = await response.json();
-        characters = Array.isArray(data.characters) ? data.characters : Array.isArray(data) ? data : [];
+        dataValidationResult = validateCharacterData(Array.isArray(data) ? { characters: data } : data, schema);
+        characters = dataValidationResult.characters.map(localizeCharacter);
+        setUploaderRegistry(dataValidationResult.uploaders, dataValidationResult.roles);
 
+        if (dataValidationResult.issues.length > 0) {
+            console.warn('Character data has validation issues:', dataValidationResult.issues);
+        }
         if (characters.length === 0) {
-            console.warn('Character data loaded, but the array is empty or structure is not as expected.', data);
+            console.warn('Character data loaded, but no valid characters remain to display.', data);
         }
+        renderDataReport(dataValidationResult);
+        searchIndex = buildSearchIndex(characters);
         filteredCharacters = [...characters];
     } catch (error) {
         console.error('Error loading character data:', error);
@@ -93,21 +274,127 @@ async function loadCharacters() {
     }
 }
 
+async function loadDataSchema() {
+    try {
+        const response = await fetch(DATA_SCHEMA_PATH);
+        if (!response.ok) {
+            throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
+        }
+        return await response.json();
+    } catch (error) {
+        // Without the schema only the cross-entry lint rules run; the site itself still works
+        console.warn('Could not load the character schema, skipping schema validation:', error);
+        return null;
+    }
+}
+
+// --- CHARACTER DETAILS (LAZY) ---
+function getCharacterDetailPath(characterId) {
+    return `characters/${encodeURIComponent(characterId)}/character.json`;
+}
+
+function getModelDownloadPath(character) {
+    return character.assets?.modelDownload || `characters/${character.id}/model.zip`;
+}
+
+/**
+ * Resolves with the full entry of an index character, fetching characters/<id>/character.json
+ * once. Falls back to the index entry (and allows a retry later) if the file can't be used.
+ */
+function loadCharacterDetails(character) {
+    if (!character.hasDetails) return Promise.resolve(character);
+
+    const characterId = String(character.id);
+    if (!characterDetailsCache.has(characterId)) {
+        const request = fetchCharacterDetails(character).catch(error => {
+            console.error(`Error loading details for ${characterId}:`, error);
+            showNotification(t('Some details for {name} could not be loaded.', { name: character.name }), 'error');
+            characterDetailsCache.delete(characterId);
+            return character;
+        });
+        characterDetailsCache.set(characterId, request);
+    }
+    return characterDetailsCache.get(characterId);
+}
+
+async function fetchCharacterDetails(character) {
+    const detailPath = getCharacterDetailPath(character.id);
+    const response = await fetch(detailPath);
+    if (!response.ok) {
+        throw new Error(`HTTP error ${response.status}: ${response.statusText} while fetching ${detailPath}.`);
+    }
+
+    const details = await response.json();
+    if (String(details?.id) !== String(character.id)) {
+        throw new Error(`${detailPath} has id "${details?.id}", expected "${character.id}".`);
+    }
+    const issues = getCharacterSchemaIssues(details, dataSchema);
+    const errors = issues.filter(issue => issue.severity === 'error');
+    if (errors.length > 0) {
+        throw new Error(`${detailPath} is invalid: ${errors.map(issue => `${issue.path} ${issue.message}`).join('; ')}`);
+    }
+    if (issues.length > 0) {
+        console.warn(`${detailPath} has validation warnings:`, issues);
+    }
+    return localizeCharacter(details);
+}
+
+function renderDataReport(result) {
+    if (!dataReportContainer) return;
+    const errorCount = result.issues.filter(issue => issue.severity === 'error').length;
+    const warningCount = result.issues.length - errorCount;
+    if (result.issues.length === 0) {
+        dataReportContainer.hidden = true;
+        dataReportContainer.innerHTML = '';
+        return;
+    }
+
+    const summaryParts = [];
+    if (result.skipped.length) summaryParts.push(tn('{count} entry skipped', '{count} entries skipped', result.skipped.length));
+    if (errorCount) summaryParts.push(tn('{count} error', '{count} errors', errorCount));
+    if (warningCount) summaryParts.push(tn('{count} warning', '{count} warnings', warningCount));
+
+    dataReportContainer.innerHTML = `
+        <details class="data-report-details">
+            <summary><strong id="data-report-heading">${t('Data check:')}</strong> ${summaryParts.join(' · ')}</summary>
+            <ul class="data-report-list">
+                ${result.issues.map(issue => `
+                    <li class="data-report-item data-report-${issue.severity}">
+                        <span class="data-report-severity">${issue.severity === 'error' ? t('error') : t('warning')}</span>
+                        <strong>${escapeHTML(issue.characterId ?? (issue.characterIndex !== null ? t('entry #{number}', { number: issue.characterIndex + 1 }) : 'data.json'))}</strong>
+                        <code>${escapeHTML(issue.path)}</code>
+                        ${escapeHTML(issue.message)}
+                    </li>`).join('')}
+            </ul>
+        </details>`;
+    dataReportContainer.hidden = false;
+}
+
 // --- EVENT LISTENERS ---
 function initializeEventListeners() {
     searchInput.addEventListener('input', debounce(handleSearchInput, DEBOUNCE_DELAY_SEARCH));
 
-    [pathFilterContainer, elementFilterContainer].forEach(container => {
+    [...Object.values(filterDropdowns), listDropdown, sortDropdown].forEach(container => {
         const button = container.querySelector('.filter-button');
         if (button) {
             button.addEventListener('click', (e) => {
                 e.stopPropagation();
                 toggleDropdown(container);
             });
+            button.addEventListener('keydown', (e) => {
+                if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && !container.classList.contains('active')) {
+                    e.preventDefault();
+                    toggleDropdown(container);
+                }
+            });
         }
     });
 
     clearFiltersBtn.addEventListener('click', handleClearFilters);
+    characterGrid.addEventListener('click', handleCharacterGridActivation);
+    characterGrid.addEventListener('keydown', handleCharacterGridActivation);
+    characterGrid.addEventListener('error', handleCardImageError, true); // Image errors don't bubble
+    gameSwitcher.addEventListener('click', handleGameSelect);
 
     document.addEventListener('click', (e) => {
         if (!e.target.closest('.filter-dropdown')) {
@@ -116,8 +403,10 @@ function initializeEventListeners() {
     });
 
     document.addEventListener('keydown', handleGlobalKeyboardShortcuts);
+    window.addEventListener('popstate', handlePopState);
 
     overlayCloseBtn.addEventListener('click', closeCharacterDetailOverlay);
+    overlayContent.addEventListener('click', handleSectionToggle);
     characterDetailOverlay.addEventListener('click', (e) => {
         if (e.target === characterDetailOverlay) {
             closeCharacterDetailOverlay();
@@ -139,6 +428,8 @@ function initializeDropdown(dropdownElement, filterType) {
                 e.preventDefault();
                 e.stopPropagation();
                 handleFilterOptionSelect(dropdownElement, option, filterType);
+            } else {
+                handleListboxKeydown(e, option);
             }
         });
     });
@@ -148,72 +439,124 @@ function initializeDropdown(dropdownElement, filterType) {
 // --- FILTERING LOGIC ---
 function handleSearchInput(e) {
     currentFilters.search = e.target.value.toLowerCase().trim();
-    applyFilters();
+    applyFilters({ replaceHistory: true }); // Typing shouldn't flood the history with entries
 }
 
 function handleFilterOptionSelect(dropdownElement, optionElement, filterType) {
     const value = optionElement.dataset.value;
     const button = dropdownElement.querySelector('.filter-button');
-    const buttonLabel = button.querySelector('.filter-button-label');
-    const allOptionBaseLabel = dropdownElement.querySelector('.filter-option[data-value=""]').dataset.defaultText;
-    const baseFilterName = allOptionBaseLabel || filterType.charAt(0).toUpperCase() + filterType.slice(1);
 
-    dropdownElement.querySelectorAll('.filter-option').forEach(opt => {
-        opt.classList.remove('selected');
-        opt.setAttribute('aria-selected', 'false');
-    });
-    optionElement.classList.add('selected');
-    optionElement.setAttribute('aria-selected', 'true');
+    if (filterType === 'sort') {
+        currentSort = setSortSelection(value);
+    } else if (filterType === 'list') {
+        currentList = setListSelection(value);
+    } else {
+        const selected = currentFilters[filterType];
+        const nextValues = !value ? [] : selected.includes(value) ? selected.filter(v => v !== value) : [...selected, value];
+        currentFilters[filterType] = setDropdownSelection(dropdownElement, nextValues);
+    }
+    applyFilters();
+
+    // Multi-select dropdowns stay open so several values can be toggled in a row
+    if (filterType === 'sort' || filterType === 'list' || !value) {
+        closeAllDropdowns();
+        button.focus(); // Return focus to the button that opened the dropdown
+    }
+}
 
+/**
+ * Marks the options with the given values as selected and updates the button label.
+ * Unknown values are dropped; with nothing left the "All" option is selected.
+ * Returns the values actually selected.
+ */
+function setDropdownSelection(dropdownElement, values) {
+    const options = Array.from(dropdownElement.querySelectorAll('.filter-option'));
+    const selectedOptions = options.filter(opt => opt.dataset.value && values.includes(opt.dataset.value));
+    const markedOptions = selectedOptions.length ? selectedOptions : options.filter(opt => !opt.dataset.value);
+
+    options.forEach(opt => {
+        const isSelected = markedOptions.includes(opt);
+        opt.classList.toggle('selected', isSelected);
+        opt.setAttribute('aria-selected', String(isSelected));
+    });
 
+    const buttonLabel = dropdownElement.querySelector('.filter-button-label');
+    const baseLabel = dropdownElement.dataset.label;
     if (buttonLabel) {
-        buttonLabel.textContent = value ? `${baseFilterName}: ${value}` : baseFilterName;
+        if (selectedOptions.length === 0) {
+            buttonLabel.textContent = baseLabel;
+        } else if (selectedOptions.length === 1) {
+            buttonLabel.textContent = `${baseLabel}: ${selectedOptions[0].querySelector('.filter-option-label').textContent}`;
+        } else {
+            buttonLabel.textContent = `${baseLabel}: ${t('{count} selected', { count: formatNumber(selectedOptions.length) })}`;
+        }
     }
-    button.setAttribute('aria-expanded', 'false');
-    currentFilters[filterType] = value;
-    applyFilters();
-    closeAllDropdowns();
-    button.focus(); // Return focus to the button that opened the dropdown
+    return selectedOptions.map(opt => opt.dataset.value);
+}
+
+function setSortSelection(sortKey) {
+    const validSortKey = SORT_OPTIONS[sortKey] ? sortKey : DEFAULT_SORT;
+    setDropdownSelection(sortDropdown, [validSortKey]);
+    return validSortKey;
+}
+
+/**
+ * Display name from the uploader registry, or the plain text of a free-text uploader.
+ */
+function getUploaderName(character) {
+    return getCharacterUploader(character)?.name || richTextToPlainText(character.meta?.uploader || '').trim();
 }
 
-function applyFilters() {
+/**
+ * Date of the latest upload or revision (ISO dates compare as text).
+ */
+function getLastUpdateDate(character) {
+    const { uploadDate = '', updatedDate = '' } = character.meta || {};
+    return updatedDate > uploadDate ? updatedDate : uploadDate;
+}
+
+function refreshSearchResults() {
+    currentSearchResults = currentFilters.search ? searchCharacters(searchIndex, currentFilters.search) : null;
+}
+
+function characterMatchesFilters(character, ignoredFacet = null) {
+    const searchMatch = !currentSearchResults || currentSearchResults.has(String(character.id));
+    return searchMatch && characterMatchesGame(character) && characterMatchesList(character) && Object.entries(FILTER_FACETS).every(([filterType, facet]) => {
+        const selected = currentFilters[filterType];
+        return filterType === ignoredFacet || selected.length === 0 || selected.includes(facet.getValue(character));
+    });
+}
+
+function getFilteredAndSortedCharacters() {
+    refreshSearchResults();
+    const matching = characters.filter(character => characterMatchesFilters(character));
+    if (currentSearchResults && currentSort === DEFAULT_SORT) {
+        // Without an explicit sort, search results are ranked by relevance
+        return matching.sort((a, b) => currentSearchResults.get(String(b.id)).score - currentSearchResults.get(String(a.id)).score);
+    }
+    return matching.sort(SORT_OPTIONS[currentSort].compare);
+}
+
+function applyFilters({ replaceHistory = false } = {}) {
+    updateUrlState({ replace: replaceHistory });
     showLoading();
     setTimeout(() => {
-        filteredCharacters = characters.filter(character => {
-            const nameMatch = !currentFilters.search || (character.name && character.name.toLowerCase().includes(currentFilters.search));
-            const pathMatch = !currentFilters.path || character.path === currentFilters.path;
-            const elementMatch = !currentFilters.element || character.element === currentFilters.element;
-            return nameMatch && pathMatch && elementMatch;
-        });
+        filteredCharacters = getFilteredAndSortedCharacters();
+        updateFacetCounts();
         renderCharacters();
         hideLoading();
+        announceResultCount();
     }, FILTER_APPLY_DELAY);
 }
 
 function handleClearFilters() {
-    currentFilters = { search: '', path: '', element: '' };
+    currentFilters = { search: '', path: [], element: [], weapon: [], faction: [], rarity: [], uploader: [] };
     searchInput.value = '';
 
-    document.querySelectorAll('.filter-dropdown').forEach(dropdown => {
-        const filterType = dropdown.id.replace('Filter', '');
-        const button = dropdown.querySelector('.filter-button');
-        const buttonLabel = button.querySelector('.filter-button-label');
-        const allOption = dropdown.querySelector('.filter-option[data-value=""]');
-        const defaultText = allOption?.dataset.defaultText || filterType.charAt(0).toUpperCase() + filterType.slice(1);
-
-        if (buttonLabel) {
-            buttonLabel.textContent = defaultText;
-        }
-
-        dropdown.querySelectorAll('.filter-option.selected').forEach(option => {
-            option.classList.remove('selected');
-            option.setAttribute('aria-selected', 'false');
-        });
-        if (allOption) {
-            allOption.classList.add('selected');
-            allOption.setAttribute('aria-selected', 'true');
-        }
+    Object.values(filterDropdowns).forEach(dropdown => {
+        setDropdownSelection(dropdown, []);
     });
+    currentList = setListSelection('');
 
     applyFilters();
     closeAllDropdowns();
@@ -226,9 +569,9 @@ function toggleDropdown(dropdownElement) {
     if (!isActive) {
         dropdownElement.classList.add('active');
         dropdownElement.querySelector('.filter-button').setAttribute('aria-expanded', 'true');
-        // Focus first option in dropdown
-        const firstOption = dropdownElement.querySelector('.filter-option');
-        if (firstOption) firstOption.focus();
+        // Focus the selected option, else the first one
+        const option = dropdownElement.querySelector('.filter-option.selected') || dropdownElement.querySelector('.filter-option');
+        if (option) option.focus();
     }
 }
 
@@ -240,115 +583,242 @@ function closeAllDropdowns() {
 }
 
 // --- RENDERING LOGIC ---
+/**
+ * Renders the grid incrementally: the first batch of cards right away, further batches as the
+ * sentinel below the grid scrolls into view, so long result lists stay cheap to filter.
+ */
 function renderCharacters() {
     if (characters.length === 0) {
         if (!loadingOverlay.style.display || loadingOverlay.style.display === 'none') {
-            showError("No characters are available. The dataset might be empty or improperly formatted.");
+            showError(t('No characters are available. The dataset might be empty or improperly formatted.'));
             if (characterGrid) characterGrid.style.display = 'grid';
             if (noResults) noResults.style.display = 'none';
         }
         return;
     }
 
+    renderedCardCount = 0;
     if (filteredCharacters.length === 0) {
         if (characterGrid) characterGrid.innerHTML = '';
         if (characterGrid) characterGrid.style.display = 'none';
         if (noResults) noResults.style.display = 'block';
+        updateGridSentinel();
     } else {
         if (characterGrid) characterGrid.style.display = 'grid';
         if (noResults) noResults.style.display = 'none';
-        if (characterGrid) characterGrid.innerHTML = filteredCharacters.map(createCharacterCardHTML).join('');
-        addCharacterCardEventListeners();
+        if (characterGrid) characterGrid.innerHTML = '';
+        renderNextCardBatch();
+    }
+}
+
+function renderNextCardBatch() {
+    const batch = filteredCharacters.slice(renderedCardCount, renderedCardCount + GRID_RENDER_BATCH_SIZE);
+    characterGrid.insertAdjacentHTML('beforeend', batch
+        .map(character => createCharacterCardHTML(character, currentSearchResults?.get(String(character.id))))
+        .join(''));
+    renderedCardCount += batch.length;
+    updateGridTabStop();
+    updateGridSentinel();
+}
+
+function updateGridSentinel() {
+    const hasMore = renderedCardCount < filteredCharacters.length;
+    if (!gridSentinel || !('IntersectionObserver' in window)) {
+        while (renderedCardCount < filteredCharacters.length) renderNextCardBatch(); // No observer: render everything
+        return;
+    }
+
+    if (!gridSentinelObserver) {
+        gridSentinelObserver = new IntersectionObserver(entries => {
+            if (entries.some(entry => entry.isIntersecting) && renderedCardCount < filteredCharacters.length) {
+                renderNextCardBatch();
+            }
+        }, { rootMargin: GRID_PRELOAD_MARGIN });
+    }
+    // Re-observing reports the current intersection again, so a sentinel that is still visible
+    // after a batch keeps loading until the viewport is filled
+    gridSentinelObserver.unobserve(gridSentinel);
+    if (hasMore) gridSentinelObserver.observe(gridSentinel);
+}
+
+/**
+ * Cards are added in batches, so their events are delegated from the grid.
+ */
+function handleCharacterGridActivation(e) {
+    const card = e.target.closest('.character-card');
+    if (!card || e.target.closest('a, button')) return; // Ignore interactive elements within
+    if (e.type === 'keydown') {
+        if (e.key !== KEY_ENTER && e.key !== KEY_SPACE) return;
+        e.preventDefault();
     }
+    showCharacterDetailOverlay(card.dataset.characterId, card);
 }
 
-function createCharacterCardHTML(character) {
-    const rarityStars = '★'.repeat(character.rarity || 0);
-    const charId = character.id || `char-fallback-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-    const imageSrc = character.assets?.splashImage || `characters/generic/splash.png`; // Generic fallback
-    const altText = `Splash art for ${character.name || 'Character'}`;
+/**
+ * `searchMatch` is the character's entry from searchCharacters; matched words are highlighted and
+ * matches in fields the card doesn't show are listed below the description.
+ */
+function createCharacterCardHTML(character, searchMatch = null) {
+    const charId = escapeHTML(character.id || `char-fallback-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`);
+    const imageSrc = sanitizeUrl(character.assets?.splashImage) || `characters/generic/splash.png`; // Generic fallback
+    const characterName = escapeHTML(character.name || t('Character'));
+    const altText = escapeHTML(t('Splash art for {name}', { name: character.name || t('Character') }));
+    const matches = searchMatch?.matches || {};
+    const highlight = (html, fieldName) => highlightSearchMatches(html, matches[fieldName]);
+    const matchSnippets = getSearchMatchSnippets(searchMatch);
 
     return `
-        <div class="character-card" data-character-id="${charId}" tabindex="0" aria-label="View details for ${character.name || 'Character'}" role="button">
-            <img src="${imageSrc}" alt="${altText}" class="character-image" loading="lazy" onerror="this.onerror=null; this.src='characters/generic/splash_error.png'; this.alt='Failed to load image for ${character.name || 'Character'}';">
+        <div class="character-card ${escapeHTML(getCharacterAccentClassNames(character))}${isModelAvailable(character) ? '' : ' model-unavailable'}" data-character-id="${charId}" tabindex="-1" aria-label="${escapeHTML(t('View details for {name}', { name: character.name || t('Character') }))}" role="button">
+            <img src="${escapeHTML(imageSrc)}" alt="${altText}" class="character-image" loading="lazy" data-character-name="${characterName}">
+            ${generateFavoriteButtonHTML(character, { isFocusable: false })}
+            ${generateCompareToggleHTML(character, { isFocusable: false })}
             <div class="character-info">
-                <h2 class="character-name" id="char-name-${charId}">${character.name || 'Unknown Character'}</h2>
+                <h2 class="character-name" id="char-name-${charId}">${highlight(escapeHTML(character.name || t('Unknown Character')), 'name')}</h2>
                 <div class="character-meta">
-                    ${character.rarity ? `<span class="character-badge rarity-badge" aria-label="${character.rarity} star rarity">${rarityStars}</span>` : ''}
-                    ${character.element ? `<span class="character-badge element-badge">${character.element}</span>` : ''}
-                    ${character.path ? `<span class="character-badge path-badge">${character.path}</span>` : ''}
+                    ${generateCharacterBadgesHTML(character, matches)}
+                    ${generateModelUnavailableBadgeHTML(character)}
                 </div>
-                <p class="character-description">${character.description?.trim()}</p>
+                <p class="character-description">${highlight(renderRichText(character.description, { inline: true }), 'description')}</p>
+                ${matchSnippets.length ? `
+                    <ul class="search-match-snippets" aria-label="${escapeHTML(t('Other search matches'))}">
+                        ${matchSnippets.map(snippet => `<li><span class="search-match-field">${escapeHTML(snippet.label)}:</span> ${snippet.html}</li>`).join('')}
+                    </ul>` : ''}
             </div>
         </div>
     `;
 }
 
+/**
+ * Game, rarity and classification badges, labelled with the character's game vocabulary.
+ * Badges for fields in `searchMatches` are marked as search hits.
+ */
+function generateCharacterBadgesHTML(character, searchMatches = {}) {
+    const game = getGame(character.game);
+    const hitClass = (fieldName) => (searchMatches[fieldName] ? ' search-hit' : '');
+    const badges = [];
+
+    if (game) {
+        badges.push(`<span class="character-badge game-badge game-${escapeHTML(character.game)}${hitClass('game')}" title="${escapeHTML(game.name)}">${escapeHTML(game.shortName)}</span>`);
+    }
+    if (character.rarity) {
+        badges.push(`<span class="character-badge rarity-badge${hitClass('rarity')}" aria-label="${t('{rarity} star rarity', { rarity: escapeHTML(character.rarity) })}">${'★'.repeat(character.rarity)}</span>`);
+    }
+    GAME_FIELDS.forEach(fieldName => {
+        if (!character[fieldName]) return;
+        const label = t(getGameFieldLabel(character.game, fieldName));
+        const elementClass = fieldName === 'element' ? ` ${escapeHTML(getElementClassName(character.element))}` : '';
+        badges.push(`<span class="character-badge ${fieldName}-badge${elementClass}${hitClass(fieldName)}" title="${escapeHTML(label)}" aria-label="${escapeHTML(label)}: ${escapeHTML(character[fieldName])}">${escapeHTML(character[fieldName])}</span>`);
+    });
+    return badges.join('');
+}
+
 function generateCharacterDetailHTML(character) {
     const characterIdForOverlay = character.id || 'unknown-character';
     let leftPaneContent = `
         <div class="character-modelinfo-main expanded-section">
-            <h3>Character Model Info</h3>
-            <div class="character-modelinfo">${character.modelInfo?.trim() || 'No background information available.'}</div>
+            <h3>${t('Character Model Info')}</h3>
+            <div class="character-modelinfo rich-text">${renderRichText(character.modelInfo) || `<p>${t('No background information available.')}</p>`}</div>
+            ${generateLinksHTML(character.links)}
         </div>`;
 
-    const modelDownloadPath = character.assets?.modelDownload || `characters/${character.id}/model.zip`;
-    leftPaneContent += `
+    leftPaneContent += !isModelAvailable(character) ? `
+        <div class="model-contents-section expanded-section">
+            <h3>${t('Model Archive Contents')}</h3>
+            <p class="error-zip-message model-unavailable-message">${t("This model isn't available at the moment, so it can't be downloaded or previewed.")}</p>
+        </div>` : `
         <div class="model-contents-section expanded-section">
-            <h3>Model Archive Contents</h3>
+            <h3>${t('Model Archive Contents')}</h3>
             <div class="zip-contents-list" id="overlay-zip-contents-${character.id}" aria-live="polite">
-                <p class="loading-zip-message">Loading model contents...</p>
+                <p class="loading-zip-message">${t('Loading model contents...')}</p>
+            </div>
+            <div class="archive-inclusion-check" aria-live="polite" hidden></div>
+            <div class="partial-export" hidden>
+                <p class="partial-export-summary" aria-live="polite">${t('Select inclusions or files to build a custom download.')}</p>
+                <button type="button" class="action-btn viewer-btn partial-export-btn" disabled>${t('Download Selected Parts')}</button>
+            </div>
+            <div class="download-manager" data-state="idle">
+                <button type="button" class="action-btn download-btn model-download-btn-inline" data-character-id="${escapeHTML(character.id)}">
+                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" aria-hidden="true"><path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/><path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/></svg>
+                    ${t('Download Model')} <span class="download-size"></span>
+                </button>
+                <div class="download-progress" hidden>
+                    <progress class="download-progress-bar" aria-label="${t('Download progress')}"></progress>
+                    <span class="download-progress-text"></span>
+                    <button type="button" class="action-btn viewer-btn download-cancel-btn" hidden>${t('Cancel')}</button>
+                    <button type="button" class="action-btn viewer-btn download-retry-btn" hidden>${t('Retry')}</button>
+                </div>
+                <p class="download-status" role="status" aria-live="polite"></p>
+            </div>
+            <div class="offline-model-controls" hidden>
+                <button type="button" class="action-btn viewer-btn offline-save-btn" aria-pressed="false">${t('Save for Offline')}</button>
+                <span class="offline-model-status" aria-live="polite"></span>
             </div>
-            <button type="button" class="action-btn download-btn model-download-btn-inline" data-model-path="${modelDownloadPath}" data-character-name="${character.name || 'character'}">
-                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16" aria-hidden="true"><path d="M.5 9.9a.5.5 0 0 1 .5.5v2.5a1 1 0 0 0 1 1h12a1 1 0 0 0 1-1v-2.5a.5.5 0 0 1 1 0v2.5a2 2 0 0 1-2 2H2a2 2 0 0 1-2-2v-2.5a.5.5 0 0 1 .5-.5z"/><path d="M7.646 11.854a.5.5 0 0 0 .708 0l3-3a.5.5 0 0 0-.708-.708L8.5 10.293V1.5a.5.5 0 0 0-1 0v8.793L5.354 8.146a.5.5 0 1 0-.708.708l3 3z"/></svg>
-                Download Model
-            </button>
         </div>`;
 
-    const hasAdditionalDetails = character.meta?.voiceActor || character.meta?.uploadDate || character.meta?.uploader;
+    const hasAdditionalDetails = character.meta?.voiceActor || character.meta?.uploadDate || character.meta?.updatedDate || character.meta?.uploader;
     if (hasAdditionalDetails) {
-        let uploaderHtml = '';
-        if (character.meta?.uploader) {
-            const uploaderStr = character.meta.uploader;
-            const ownerEmoji = '💩';
-            const ownerTooltip = 'Shite Ownah';
-            if (/\bhu7ao\b/i.test(uploaderStr)) { // \b for word boundaries
-                uploaderHtml = `<p><strong>Uploader:</strong> ${uploaderStr} <span class="owner-indicator" title="${ownerTooltip}" aria-label="${ownerTooltip}">${ownerEmoji}</span></p>`;
-            } else {
-                uploaderHtml = `<p><strong>Uploader:</strong> ${uploaderStr}</p>`;
-            }
-        }
         leftPaneContent += `
         <div class="character-additional-details expanded-section">
-            <h3>Uploader & Additional Details</h3>
-            ${uploaderHtml}
-            ${character.meta?.voiceActor ? `<p><strong>Voice Actor:</strong> ${character.meta.voiceActor}</p>` : ''}
-            ${character.meta?.uploadDate ? `<p><strong>Upload Date:</strong> ${character.meta.uploadDate}</p>` : ''}
+            <h3>${t('Uploader &amp; Additional Details')}</h3>
+            ${character.meta?.uploader ? `<p><strong>${t('Uploader:')}</strong> ${generateUploaderHTML(character)}</p>` : ''}
+            ${character.meta?.voiceActor ? `<p><strong>${t('Voice Actor:')}</strong> ${escapeHTML(character.meta.voiceActor)}</p>` : ''}
+            ${character.meta?.uploadDate ? `<p><strong>${t('Upload Date:')}</strong> ${generateDateHTML(character.meta.uploadDate)}</p>` : ''}
+            ${character.meta?.updatedDate ? `<p><strong>${t('Last Updated:')}</strong> ${generateDateHTML(character.meta.updatedDate)}</p>` : ''}
         </div>`;
     }
+    leftPaneContent += generateVersionHistoryHTML(character.meta?.versions);
 
     let rightPaneContent = '';
     if (character.inclusions && character.inclusions.length > 0) {
         rightPaneContent = `
         <div class="inclusions-section expanded-section">
-            <h3>Inclusions List</h3>
-            ${character.inclusions.map(info => {
-                const inclusionDesc = info.description?.trim();
-                const inclusionName = info.name?.trim() || 'Unnamed Inclusion';
+            <h3>${t('Inclusions List')}</h3>
+            ${character.inclusions.map((info, index) => {
+                const inclusionDesc = renderRichText(info.description);
+                const inclusionName = renderRichText(info.name, { inline: true }) || escapeHTML(t('Unnamed Inclusion'));
+                const isSelectable = isArchiveHash(info.id);
+                const nameId = `inclusion-name-${characterIdForOverlay}-${index}`;
                 return `
-                <div class="inclusion">
+                <div class="inclusion"${isSelectable ? ` data-inclusion-id="${String(info.id).toLowerCase()}"` : ''}>
                     <div class="inclusion-header">
-                        ${info.id ? `<span class="inclusion-id">${info.id}</span>` : ''}
-                        <span class="inclusion-name">${inclusionName}</span>
+                        ${isSelectable ? `<input type="checkbox" class="inclusion-select" aria-labelledby="${nameId}" title="${escapeHTML(t('Include this part in a custom download'))}" disabled>` : ''}
+                        ${info.id ? `<span class="inclusion-id">${escapeHTML(info.id)}</span>` : ''}
+                        <span class="inclusion-name" id="${nameId}">${inclusionName}</span>
                     </div>
-                    <p class="inclusion-description">${inclusionDesc}</p>
+                    ${inclusionDesc ? `<div class="inclusion-description rich-text">${inclusionDesc}</div>` : ''}
+                    ${isSelectable ? `<div class="inclusion-archive-status" aria-live="polite"></div>` : ''}
                 </div>
             `}).join('')}
         </div>`;
     }
 
+    rightPaneContent += generateGalleryHTML(character);
+
+    const modelViewerContent = !isModelAvailable(character) ? '' : `
+        <div class="model-viewer-section expanded-section">
+            <h3>${t('3D Model Preview')}</h3>
+            <div class="model-viewer" id="overlay-model-viewer-${character.id}" data-state="idle">
+                <div class="model-viewer-stage">
+                    <p class="model-viewer-message">${t('Waiting for the model archive...')}</p>
+                </div>
+                <div class="model-viewer-toolbar">
+                    <button type="button" class="action-btn viewer-btn model-viewer-load-btn" disabled>${t('Load 3D Preview')}</button>
+                    <button type="button" class="action-btn viewer-btn model-viewer-reset-btn" disabled>${t('Reset View')}</button>
+                    <label class="model-viewer-option">
+                        <input type="checkbox" class="model-viewer-wireframe" disabled> ${t('Wireframe')}
+                    </label>
+                </div>
+                <fieldset class="model-viewer-parts" hidden></fieldset>
+            </div>
+        </div>`;
+
     return `
-        <h2 class="character-name-overlay" id="overlayCharName-${characterIdForOverlay}">${character.name || 'Unknown Character'}</h2>
+        <h2 class="character-name-overlay" id="overlayCharName-${characterIdForOverlay}">${escapeHTML(character.name || t('Unknown Character'))}</h2>
+        <div class="character-meta overlay-character-meta">${generateCharacterBadgesHTML(character)}${generateModelUnavailableBadgeHTML(character)}</div>
+        <div class="overlay-actions">
+            ${generateLibraryActionsHTML(character)}
+            ${generateCopyMarkdownButtonHTML(character)}
+        </div>
         
         <div class="expanded-content-grid">
             <div class="expanded-left-column">
@@ -358,44 +828,90 @@ function generateCharacterDetailHTML(character) {
                 ${rightPaneContent}
             </div>
         </div>
+        ${modelViewerContent}
     `;
 }
 
+function generateVersionHistoryHTML(versions) {
+    if (!Array.isArray(versions) || versions.length === 0) return '';
+    return `
+        <div class="version-history-section expanded-section">
+            <h3>${t('Version History')}</h3>
+            <ol class="version-history">
+                ${versions.map(version => `
+                    <li class="version-history-entry">
+                        <p class="version-history-heading">
+                            ${version.version ? `<strong>${escapeHTML(version.version)}</strong> · ` : ''}${generateDateHTML(version.date)}
+                        </p>
+                        <div class="rich-text">${renderRichText(version.changes)}</div>
+                    </li>`).join('')}
+            </ol>
+        </div>`;
+}
+
+function generateLinksHTML(links) {
+    const safeLinks = (Array.isArray(links) ? links : [])
+        .map(link => ({ label: link?.label || link?.url, url: sanitizeUrl(link?.url) }))
+        .filter(link => link.url);
+    if (safeLinks.length === 0) return '';
+
+    return `
+        <ul class="character-links" aria-label="${escapeHTML(t('Related links'))}">
+            ${safeLinks.map(link => `
+                <li><a href="${escapeHTML(link.url)}"${isExternalUrl(link.url) ? ' target="_blank" rel="noopener noreferrer"' : ''}>${escapeHTML(link.label)}</a></li>
+            `).join('')}
+        </ul>`;
+}
+
 // --- CARD & OVERLAY INTERACTION ---
-function addCharacterCardEventListeners() {
-    characterGrid.querySelectorAll('.character-card').forEach(card => {
-        card.addEventListener('click', function(e) {
-            if (e.target.closest('a, button')) return; // Ignore clicks on interactive elements within
-            showCharacterDetailOverlay(this.dataset.characterId, this);
-        });
+function handleCardImageError(e) {
+    const image = e.target;
+    if (!image.matches?.('.character-image') || image.dataset.fallbackApplied) return;
+    image.dataset.fallbackApplied = 'true'; // Don't loop if the fallback image is missing too
+    image.src = 'characters/generic/splash_error.png';
+    image.alt = t('Failed to load image for {name}', { name: image.dataset.characterName || t('Character') });
+}
 
-        card.addEventListener('keydown', function(e) {
-            if (e.key === KEY_ENTER || e.key === KEY_SPACE) {
-                if (e.target.closest('a, button')) return;
-                e.preventDefault();
-                showCharacterDetailOverlay(this.dataset.characterId, this);
-            }
-        });
-        // card.dataset.eventsAttached = 'true';
-    });
+/**
+ * Expands/collapses the element referenced by a `.section-toggle` button's aria-controls.
+ */
+function handleSectionToggle(e) {
+    const toggle = e.target.closest('.section-toggle');
+    if (!toggle) return;
+    const target = document.getElementById(toggle.getAttribute('aria-controls'));
+    if (!target) return;
+
+    const isExpanded = toggle.getAttribute('aria-expanded') === 'true';
+    toggle.setAttribute('aria-expanded', String(!isExpanded));
+    target.hidden = isExpanded;
+    setupFocusTrap(); // Revealed content may contain focusable elements
 }
 
-function showCharacterDetailOverlay(characterId, cardElement) {
-    const character = characters.find(c => String(c.id) === String(characterId));
-    if (!character) {
+/**
+ * Opens the overlay right away with the index entry's name, then renders the full details once
+ * loadCharacterDetails resolves (instantly for characters opened before).
+ */
+async function showCharacterDetailOverlay(characterId, cardElement) {
+    const indexEntry = characters.find(c => String(c.id) === String(characterId));
+    if (!indexEntry) {
         console.warn(`Character with ID ${characterId} not found.`);
-        showNotification(`Could not load details for character ID ${characterId}.`, 'error');
+        showNotification(t('Could not load details for character ID {id}.', { id: characterId }), 'error');
         return;
     }
 
-    activeCharacterCardElement = cardElement;
-
-    const characterIdForOverlay = character.id || 'unknown-character';
-    overlayContent.innerHTML = generateCharacterDetailHTML(character);
+    activeCharacterCardElement = cardElement || characterGrid.querySelector(`.character-card[data-character-id="${CSS.escape(String(indexEntry.id))}"]`);
+    openCharacterId = String(indexEntry.id);
+    updateUrlState();
+    recordRecentlyViewed(indexEntry.id);
+
+    const characterIdForOverlay = indexEntry.id || 'unknown-character';
+    disposeActiveModelViewer(); // Switching characters while the overlay is open
+    disposeGallery();
+    overlayContent.innerHTML = `
+        <h2 class="character-name-overlay" id="overlayCharName-${escapeHTML(characterIdForOverlay)}">${escapeHTML(indexEntry.name || t('Unknown Character'))}</h2>
+        <p class="loading-zip-message overlay-details-loading" role="status">${t('Loading details...')}</p>`;
     characterDetailOverlay.setAttribute('aria-labelledby', `overlayCharName-${characterIdForOverlay}`);
 
-    executeScriptsInElement(overlayContent);
-
     characterDetailOverlay.hidden = false;
     requestAnimationFrame(() => {
         characterDetailOverlay.classList.add('active');
@@ -403,42 +919,60 @@ function showCharacterDetailOverlay(characterId, cardElement) {
 
     disableBodyScroll();
     setupFocusTrap();
-
-    let modelDownloadPath = character.assets?.modelDownload || `characters/${character.id}/model.zip`;
-    const zipContentsContainer = overlayContent.querySelector(`#overlay-zip-contents-${character.id}`);
-    if (zipContentsContainer) {
-        loadAndDisplayZipContents(modelDownloadPath, zipContentsContainer);
-    }
-    const downloadBtn = overlayContent.querySelector('.download-btn[data-model-path]');
-    if (downloadBtn) {
-        downloadBtn.addEventListener('click', () => {
-            handleDownloadModel(modelDownloadPath, downloadBtn.dataset.characterName);
-        });
-    }
-
     overlayCloseBtn.focus();
     characterDetailOverlay.setAttribute('aria-hidden', 'false');
+
+    const character = await loadCharacterDetails(indexEntry);
+    if (openCharacterId !== String(indexEntry.id)) return; // Closed or switched while loading
+    renderCharacterDetails(character);
 }
 
-function executeScriptsInElement(element) {
-    if (!element) return;
-    const scripts = element.querySelectorAll('script');
-    scripts.forEach(oldScript => {
-        const newScript = document.createElement('script');
-        for (const attr of oldScript.attributes) {
-            newScript.setAttribute(attr.name, attr.value);
-        }
-        newScript.textContent = oldScript.textContent;
-        if (oldScript.parentNode) {
-            oldScript.parentNode.replaceChild(newScript, oldScript);
-        }
-    });
+/**
+ * Fills the open overlay with the full entry and starts loading its model archive. Rendered again
+ * without the model controls when the archive turns out to be missing.
+ */
+function renderCharacterDetails(character) {
+    overlayContent.innerHTML = generateCharacterDetailHTML(character);
+    initializeGallery(overlayContent, character);
+    setupFocusTrap();
+
+    const modelDownloadPath = getModelDownloadPath(character);
+    const zipContentsContainer = overlayContent.querySelector(`#overlay-zip-contents-${character.id}`);
+    const modelViewerElement = overlayContent.querySelector(`#overlay-model-viewer-${character.id}`);
+    if (zipContentsContainer) {
+        loadAndDisplayZipContents(modelDownloadPath, zipContentsContainer)
+            .then(zip => {
+                if (zipContentsContainer.dataset.loaded === 'missing') {
+                    markModelUnavailable(character.id);
+                    if (openCharacterId === String(character.id)) renderCharacterDetails(character);
+                    return;
+                }
+                initializeModelViewer(modelViewerElement, zip);
+                if (zip) {
+                    initializePartialExport(overlayContent, character, zip, modelDownloadPath)
+                        .catch(error => console.error('Failed to set up the partial export:', error));
+                    initializeInclusionCheck(overlayContent, character, zip)
+                        .catch(error => console.error('Failed to check the inclusions against the archive:', error));
+                }
+                addArchiveImagesToGallery(overlayContent, character, zip)
+                    .catch(error => console.error('Failed to read archive images for the gallery:', error));
+            });
+    }
+    initializeDownloadManager(overlayContent, character);
+    initializeOfflineModelControls(overlayContent, character, modelDownloadPath)
+        .catch(error => console.error('Failed to set up offline controls:', error));
 }
 
 function closeCharacterDetailOverlay() {
+    openCharacterId = null;
+    updateUrlState();
     characterDetailOverlay.classList.remove('active');
     characterDetailOverlay.setAttribute('aria-hidden', 'true');
 
+    if (prefersReducedMotion()) {
+        performOverlayCloseActions(); // No closing transition to wait for
+        return;
+    }
     characterDetailOverlay.addEventListener('transitionend', performOverlayCloseActions, { once: true });
     setTimeout(() => { // Fallback
         if (!characterDetailOverlay.hidden) {
@@ -451,6 +985,9 @@ function performOverlayCloseActions() {
     if (characterDetailOverlay.classList.contains('active')) return;
 
     characterDetailOverlay.hidden = true;
+    disposeActiveModelViewer();
+    disposeGallery();
+    revokeArchivePreviewUrl();
     overlayContent.innerHTML = '';
 
     removeFocusTrap();
@@ -465,65 +1002,214 @@ function performOverlayCloseActions() {
 
 // --- FOCUS TRAPPING for Overlay ---
 function setupFocusTrap() {
-    focusableElementsInOverlay = []; // Reset
-    const focusableSelector = 'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])';
-    if (overlayContent.getAttribute('tabindex') !== "-1") {
-        // overlayContent.setAttribute('tabindex', "-1");
+    updateFocusableElementsInOverlay();
+    // Add event listener for tabbing within the overlay
+    characterDetailOverlay.addEventListener('keydown', trapFocusHandler);
+
+    // Details, archive listings and controls are added and enabled after the overlay opens
+    if (!overlayFocusObserver && 'MutationObserver' in window) {
+        overlayFocusObserver = new MutationObserver(scheduleFocusableElementsUpdate);
+        overlayFocusObserver.observe(overlayContent, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            attributeFilter: ['hidden', 'disabled', 'open', 'tabindex']
+        });
     }
+}
 
-    let allFocusable = Array.from(characterDetailOverlay.querySelectorAll(focusableSelector));
-    // Filter for only visible and actually focusable elements
-    focusableElementsInOverlay = allFocusable.filter(
-        el => el.offsetParent !== null && !el.disabled && el.getAttribute('tabindex') !== "-1"
+function updateFocusableElementsInOverlay() {
+    focusableElementsInOverlay = getFocusableElements(characterDetailOverlay);
+}
+
+/**
+ * The visible, enabled elements in `container` that Tab moves through, in document order.
+ */
+function getFocusableElements(container) {
+    const focusableSelector = 'button, [href], input, select, textarea, summary, [tabindex]:not([tabindex="-1"])';
+    return Array.from(container.querySelectorAll(focusableSelector)).filter(
+        el => el.offsetParent !== null && !el.disabled && !el.hidden && el.getAttribute('tabindex') !== "-1"
     );
-    // Add event listener for tabbing within the overlay
-    characterDetailOverlay.addEventListener('keydown', trapFocusHandler);
+}
+
+/**
+ * Updates the focusable elements once per frame, however many changes (e.g. download progress) come in.
+ */
+function scheduleFocusableElementsUpdate() {
+    if (isFocusableUpdateScheduled) return;
+    isFocusableUpdateScheduled = true;
+    requestAnimationFrame(() => {
+        isFocusableUpdateScheduled = false;
+        if (overlayFocusObserver) updateFocusableElementsInOverlay();
+    });
 }
 
 function removeFocusTrap() {
     characterDetailOverlay.removeEventListener('keydown', trapFocusHandler);
+    overlayFocusObserver?.disconnect();
+    overlayFocusObserver = null;
     focusableElementsInOverlay = [];
 }
 
 function trapFocusHandler(e) {
-    if (e.key !== KEY_TAB || focusableElementsInOverlay.length === 0) {
-        return;
+    trapDialogFocus(characterDetailOverlay, e, focusableElementsInOverlay);
+}
+
+/**
+ * Keeps Tab and Shift+Tab inside `dialog`, wrapping around at either end. Call it from the
+ * dialog's keydown handler. Shift+Tab from the dialog itself (focused when it opens) or from
+ * outside goes to the last control. `focusable` can be passed when the dialog keeps its own list.
+ */
+function trapDialogFocus(dialog, e, focusable = getFocusableElements(dialog)) {
+    if (e.key !== KEY_TAB || focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const index = focusable.indexOf(document.activeElement);
+    if (e.shiftKey && index <= 0) { // Shift + Tab
+        last.focus();
+        e.preventDefault();
+    } else if (!e.shiftKey && (index === focusable.length - 1 || !dialog.contains(document.activeElement))) { // Tab
+        first.focus();
+        e.preventDefault();
+    }
+}
+
+
+// --- URL STATE (DEEP LINKING) ---
+function readUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    const filters = { search: (params.get(URL_PARAM_SEARCH) || '').toLowerCase().trim() };
+    Object.entries(FILTER_FACETS).forEach(([filterType, facet]) => {
+        filters[filterType] = params.getAll(facet.urlParam).filter(Boolean);
+    });
+    return {
+        filters,
+        game: params.get(URL_PARAM_GAME) || '',
+        list: params.get(URL_PARAM_LIST) || '',
+        sort: params.get(URL_PARAM_SORT) || DEFAULT_SORT,
+        characterId: params.get(URL_PARAM_CHARACTER) || (isOnStaticPage() ? staticCharacterId : null),
+        uploaderId: params.get(URL_PARAM_PROFILE) || null
+    };
+}
+
+function buildUrlFromState() {
+    const params = new URLSearchParams();
+    if (currentGame) params.set(URL_PARAM_GAME, currentGame);
+    if (currentFilters.search) params.set(URL_PARAM_SEARCH, currentFilters.search);
+    Object.entries(FILTER_FACETS).forEach(([filterType, facet]) => {
+        currentFilters[filterType].forEach(value => params.append(facet.urlParam, value));
+    });
+    if (currentList) params.set(URL_PARAM_LIST, currentList);
+    if (currentSort !== DEFAULT_SORT) params.set(URL_PARAM_SORT, currentSort);
+    if (openCharacterId) params.set(URL_PARAM_CHARACTER, openCharacterId);
+    if (openUploaderId) params.set(URL_PARAM_PROFILE, openUploaderId);
+
+    const stateQuery = params.toString();
+    const urlLocale = getUrlLocale(); // Where storage is blocked, the address carries the language
+    if (urlLocale) params.set(I18N_URL_PARAM, urlLocale);
+    const query = params.toString();
+    if (!staticCharacterId) {
+        return `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    }
+    // A pre-rendered page keeps its address while just its character is open; any other state
+    // belongs to index.html, which the page's <base> points at
+    if (stateQuery === new URLSearchParams({ [URL_PARAM_CHARACTER]: staticCharacterId }).toString()) {
+        const localeQuery = urlLocale ? `?${new URLSearchParams({ [I18N_URL_PARAM]: urlLocale })}` : '';
+        return `${staticPagePath}${localeQuery}${window.location.hash}`;
     }
+    return `${new URL('index.html', document.baseURI).pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+}
+
+function isOnStaticPage() {
+    return Boolean(staticCharacterId) && window.location.pathname === staticPagePath;
+}
+
+function updateUrlState({ replace = false } = {}) {
+    if (isRestoringUrlState) return;
 
-    const firstFocusableElement = focusableElementsInOverlay[0];
-    const lastFocusableElement = focusableElementsInOverlay[focusableElementsInOverlay.length - 1];
+    const url = buildUrlFromState();
+    const historyState = { game: currentGame, filters: { ...currentFilters }, list: currentList, sort: currentSort, characterId: openCharacterId, uploaderId: openUploaderId };
+    const currentUrl = `${window.location.pathname}${window.location.search}${window.location.hash}`;
+
+    if (replace || url === currentUrl) {
+        history.replaceState(historyState, '', url);
+    } else {
+        history.pushState(historyState, '', url);
+    }
+}
 
-    if (e.shiftKey) { // Shift + Tab
-        if (document.activeElement === firstFocusableElement) {
-            lastFocusableElement.focus();
-            e.preventDefault();
+/**
+ * Applies the filters, open character and uploader profile encoded in the current URL.
+ * Used once after the initial load and again on every back/forward navigation.
+ */
+function restoreStateFromUrl({ replaceHistory = false } = {}) {
+    const { game, filters, list, sort, characterId, uploaderId } = readUrlState();
+
+    isRestoringUrlState = true;
+    try {
+        searchInput.value = filters.search;
+        currentGame = GAMES[game] ? game : '';
+        currentFilters = { ...filters };
+        currentSort = sort;
+        currentList = setListSelection(list);
+        updateGameSwitcher();
+        populateDynamicDropdowns(); // Applies the selections valid for the game
+        closeAllDropdowns();
+
+        filteredCharacters = getFilteredAndSortedCharacters();
+        updateFacetCounts();
+        renderCharacters();
+
+        if (characterId && characterId !== openCharacterId) {
+            showCharacterDetailOverlay(characterId);
+        } else if (!characterId && openCharacterId) {
+            closeCharacterDetailOverlay();
         }
-    } else { // Tab
-        if (document.activeElement === lastFocusableElement) {
-            firstFocusableElement.focus();
-            e.preventDefault();
+
+        if (uploaderId && uploaderId !== openUploaderId) {
+            openUploaderProfile(uploaderId);
+        } else if (!uploaderId && openUploaderId) {
+            closeUploaderProfile();
         }
+    } finally {
+        isRestoringUrlState = false;
     }
+
+    if (replaceHistory) {
+        // Normalizes the URL (drops unknown filter values or character IDs) without adding an entry
+        updateUrlState({ replace: true });
+    }
+}
+
+function handlePopState() {
+    restoreStateFromUrl();
 }
 
 
 // --- ZIP & DOWNLOAD LOGIC ---
+/**
+ * Lists the files of the model archive in `containerElement`.
+ * Resolves with the loaded JSZip instance so other panes can reuse it, or null on failure.
+ */
 async function loadAndDisplayZipContents(zipPath, containerElement) {
-    if (!containerElement) return;
+    if (!containerElement) return null;
 
     if (typeof JSZip === 'undefined') {
-        containerElement.innerHTML = `<p class="error-zip-message">File listing library (JSZip) not loaded. Please ensure you are connected to the internet or the library is correctly included.</p>`;
+        containerElement.innerHTML = `<p class="error-zip-message">${t('File listing library (JSZip) not loaded. Please ensure you are connected to the internet or the library is correctly included.')}</p>`;
         containerElement.dataset.loaded = 'error';
-        return;
+        return null;
     }
 
-    containerElement.innerHTML = '<p class="loading-zip-message">Fetching model file list...</p>';
+    containerElement.innerHTML = `<p class="loading-zip-message">${t('Fetching model file list...')}</p>`;
     containerElement.dataset.loaded = 'loading';
 
     try {
         const response = await fetch(zipPath);
         if (!response.ok) {
-            throw new Error(`Failed to fetch ZIP: ${response.status} ${response.statusText}`);
+            const error = new Error(`Failed to fetch ZIP: ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            throw error;
         }
         const blob = await response.blob();
 
@@ -532,80 +1218,45 @@ async function loadAndDisplayZipContents(zipPath, containerElement) {
         }
 
         const zip = await JSZip.loadAsync(blob);
-        const fileListElement = document.createElement('ul');
-        fileListElement.setAttribute('aria-label', 'Files in the model ZIP archive');
-
-        let fileCount = 0;
-        for (const filename in zip.files) {
-            if (Object.prototype.hasOwnProperty.call(zip.files, filename) && !zip.files[filename].dir) {
-                const listItem = document.createElement('li');
-                listItem.textContent = filename;
-                fileListElement.appendChild(listItem);
-                fileCount++;
-            }
-        }
-
-        containerElement.innerHTML = '';
-        if (fileCount === 0) {
-            containerElement.innerHTML = '<p class="zip-empty-message">This model ZIP file is empty or contains only folders.</p>';
-        } else {
-            containerElement.appendChild(fileListElement);
-        }
+        renderArchiveBrowser(containerElement, zip, blob.size);
         containerElement.dataset.loaded = 'true';
+        return zip;
 
     } catch (error) {
         console.error(`Error loading ZIP contents from ${zipPath}:`, error);
-        containerElement.innerHTML = `<p class="error-zip-message">Could not load model contents. (${error.message})</p>`;
-        containerElement.dataset.loaded = 'error';
-    }
-}
-
-function handleDownloadModel(modelPath, characterName) {
-    let character = characters.find(
-        c => c.name && characterName && c.name.toLowerCase() === characterName.toLowerCase()
-    );
-    if (!character && characters.length > 0) character = characters[0]; // Fallback to first char.
-    const charId = character?.id || 'unknown_character';
-
-    const finalModelPath = modelPath || `characters/${charId}/${charId}.zip`;
-
-    if (!finalModelPath || !characterName) {
-        showNotification('Download information is missing or incomplete.', 'error');
-        return;
-    }
-    try {
-        const link = document.createElement('a');
-        link.href = finalModelPath;
-        const safeCharacterName = characterName.toLowerCase().replace(/\s+/g, '_').replace(/[^\w.-]/g, '');
-        // Using character ID for filename
-        link.download = `${safeCharacterName}_${charId}.zip`;
-        link.style.display = 'none';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        showNotification(`Downloading ${characterName}'s model...`, 'success');
-    } catch (error) {
-        console.error('Download initiation failed:', error);
-        showNotification('Download could not be started. Check console for errors.', 'error');
+        containerElement.innerHTML = `<p class="error-zip-message">${t('Could not load model contents. ({error})', { error: escapeHTML(error.message) })}</p>`;
+        containerElement.dataset.loaded = error.status === 404 ? 'missing' : 'error';
+        return null;
     }
 }
 
 // --- GLOBAL KEYBOARD SHORTCUTS ---
 function handleGlobalKeyboardShortcuts(e) {
     if (e.key === KEY_ESCAPE) {
-        if (!characterDetailOverlay.hidden) {
+        if (isLightboxOpen()) {
+            closeLightbox();
+        } else if (!characterDetailOverlay.hidden) {
             closeCharacterDetailOverlay();
         } else if (document.querySelector('.filter-dropdown.active')) {
+            const openDropdown = document.querySelector('.filter-dropdown.active');
             closeAllDropdowns();
+            openDropdown.querySelector('.filter-button').focus();
         }
+        return;
     }
 
-    const activeElementTag = document.activeElement ? document.activeElement.tagName : null;
-    if (e.key === KEY_SLASH &&
-        !['INPUT', 'TEXTAREA', 'SELECT'].includes(activeElementTag) &&
-        characterDetailOverlay.hidden) {
+    // Single-key shortcuts stay out of the way of typing and of browser shortcuts
+    const isTyping = document.activeElement?.matches('input:not([type="checkbox"]):not([type="radio"]), textarea, select, [contenteditable="true"]');
+    if (isTyping || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    if (e.key === KEY_SLASH && characterDetailOverlay.hidden) {
         e.preventDefault();
         searchInput.focus();
+    } else if (e.key === KEY_QUESTION_MARK) {
+        e.preventDefault();
+        openShortcutsDialog();
+    } else if (handleCharacterShortcut(e)) {
+        e.preventDefault();
     }
 }
 
@@ -622,6 +1273,62 @@ function debounce(func, wait) {
     };
 }
 
+function compareText(a, b) {
+    return String(a ?? '').localeCompare(String(b ?? ''), undefined, { sensitivity: 'base', numeric: true });
+}
+
+function formatBytes(bytes) {
+    if (!Number.isFinite(bytes)) return '? B';
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes;
+    let unitIndex = 0;
+    while (value >= 1024 && unitIndex < units.length - 1) {
+        value /= 1024;
+        unitIndex++;
+    }
+    return `${unitIndex === 0 ? value : value.toFixed(1)} ${units[unitIndex]}`;
+}
+
+function triggerBlobDownload(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 1000); // Give the browser time to start the download
+}
+
+function escapeHTML(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const loadScriptOnce = (() => {
+    const pending = new Map();
+    return (src) => {
+        if (!pending.has(src)) {
+            pending.set(src, new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = src;
+                script.onload = resolve;
+                script.onerror = () => {
+                    pending.delete(src); // Allow a retry later
+                    reject(new Error(`Failed to load script ${src}`));
+                };
+                document.head.appendChild(script);
+            }));
+        }
+        return pending.get(src);
+    };
+})();
+
 function showLoading() {
     if (loadingOverlay) loadingOverlay.style.display = 'flex';
 }
@@ -634,7 +1341,7 @@ function showError(message) {
     if (characterGrid) {
         characterGrid.innerHTML = `
             <div class="error-message-container">
-                <h2>Error Encountered</h2>
+                <h2>${t('Error Encountered')}</h2>
                 <p>${message}</p>
             </div>`;
         if (characterGrid) characterGrid.style.display = 'grid';
@@ -0,0 +1,495 @@
+// --- ARCHIVE BROWSER ---
+// Tree view of a model ZIP with per-file sizes, inline previews and single-file downloads.
+
+const ARCHIVE_IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'bmp'];
+const ARCHIVE_DECODED_IMAGE_EXTENSIONS = ['dds', 'tga'];
+const ARCHIVE_TEXT_EXTENSIONS = ['ini', 'txt', 'fmt', 'json', 'md', 'csv', 'log', 'hlsl', 'cfg', 'xml', 'yml', 'yaml'];
+const ARCHIVE_TEXT_PREVIEW_LIMIT = 200 * 1024;
+const ARCHIVE_FOLDER_OPEN_DEPTH = 1; // Folders nested deeper than this start collapsed
+
+let archivePreviewObjectUrl = null;
+
+/**
+ * Reads entry sizes from JSZip's internal record. JSZip has no public API for this, so
+ * missing values are reported as null rather than guessed.
+ */
+function getZipEntrySizes(entry) {
+    const data = entry._data || {};
+    return {
+        uncompressed: Number.isFinite(data.uncompressedSize) ? data.uncompressedSize : null,
+        compressed: Number.isFinite(data.compressedSize) ? data.compressedSize : null
+    };
+}
+
+function getArchivePreviewType(path) {
+    const extension = getFileExtension(path);
+    if (ARCHIVE_IMAGE_EXTENSIONS.includes(extension)) return 'image';
+    if (ARCHIVE_DECODED_IMAGE_EXTENSIONS.includes(extension)) return 'decoded-image';
+    if (ARCHIVE_TEXT_EXTENSIONS.includes(extension)) return extension === 'json' ? 'json' : 'text';
+    return null;
+}
+
+function buildArchiveTree(zip) {
+    const root = { name: '', path: '', folders: new Map(), files: [], fileCount: 0, size: 0 };
+
+    getZipFileEntries(zip).forEach(entry => {
+        const segments = entry.name.split('/');
+        const fileName = segments.pop();
+        const sizes = getZipEntrySizes(entry);
+        let node = root;
+
+        const visited = [root];
+        segments.forEach(segment => {
+            if (!node.folders.has(segment)) {
+                node.folders.set(segment, { name: segment, path: `${node.path}${segment}/`, folders: new Map(), files: [], fileCount: 0, size: 0 });
+            }
+            node = node.folders.get(segment);
+            visited.push(node);
+        });
+        node.files.push({ name: fileName, path: entry.name, ...sizes });
+        visited.forEach(folder => {
+            folder.fileCount++;
+            folder.size += sizes.uncompressed || 0;
+        });
+    });
+    return root;
+}
+
+function renderArchiveTreeNode(node, depth) {
+    const folders = Array.from(node.folders.values()).sort((a, b) => a.name.localeCompare(b.name));
+    const files = [...node.files].sort((a, b) => a.name.localeCompare(b.name));
+
+    return `
+        <ul class="archive-tree-list">
+            ${folders.map(folder => `
+                <li class="archive-folder-item">
+                    <details class="archive-folder"${depth < ARCHIVE_FOLDER_OPEN_DEPTH ? ' open' : ''}>
+                        <summary>
+                            <span class="archive-folder-name">${escapeHTML(folder.name)}/</span>
+                            <span class="archive-meta">${tn('{count} file', '{count} files', folder.fileCount)} · ${formatBytes(folder.size)}</span>
+                        </summary>
+                        ${renderArchiveTreeNode(folder, depth + 1)}
+                    </details>
+                </li>`).join('')}
+            ${files.map(file => renderArchiveFileRow(file)).join('')}
+        </ul>`;
+}
+
+function renderArchiveFileRow(file) {
+    const previewType = getArchivePreviewType(file.path);
+    const path = escapeHTML(file.path);
+    const name = escapeHTML(file.name);
+    const sizeTitle = file.compressed !== null ? t('Compressed: {size}', { size: formatBytes(file.compressed) }) : t('Compressed size unknown');
+
+    return `
+        <li class="archive-file" data-path="${path}">
+            <input type="checkbox" class="archive-select" aria-label="${t('Include {file} in a custom download', { file: name })}">
+            <span class="archive-file-name" title="${path}">${name}</span>
+            <span class="archive-meta" title="${sizeTitle}">
+                ${formatBytes(file.uncompressed)}${file.compressed !== null ? ` <span class="archive-compressed">(${t('{size} packed', { size: formatBytes(file.compressed) })})</span>` : ''}
+            </span>
+            <span class="archive-file-actions">
+                ${previewType ? `<button type="button" class="archive-action-btn" data-archive-action="preview" aria-label="${t('Preview {file}', { file: name })}">${t('Preview')}</button>` : ''}
+                <button type="button" class="archive-action-btn" data-archive-action="download" aria-label="${t('Download {file}', { file: name })}">${t('Download')}</button>
+            </span>
+        </li>`;
+}
+
+/**
+ * Renders the archive browser into `containerElement`. `archiveSize` is the size of the ZIP itself.
+ */
+function renderArchiveBrowser(containerElement, zip, archiveSize) {
+    const tree = buildArchiveTree(zip);
+    if (tree.fileCount === 0) {
+        containerElement.innerHTML = `<p class="zip-empty-message">${t('This model ZIP file is empty or contains only folders.')}</p>`;
+        return;
+    }
+
+    const packedTotal = getZipFileEntries(zip).reduce((sum, entry) => sum + (getZipEntrySizes(entry).compressed || 0), 0);
+    containerElement.innerHTML = `
+        <p class="archive-summary">
+            ${tn('<strong>{count}</strong> file', '<strong>{count}</strong> files', tree.fileCount)} ·
+            ${t('<strong>{size}</strong> unpacked', { size: formatBytes(tree.size) })} ·
+            ${t('<strong>{size}</strong> packed', { size: formatBytes(packedTotal || archiveSize) })}
+            ${archiveSize ? `· ${t('archive {size}', { size: formatBytes(archiveSize) })}` : ''}
+        </p>
+        <div class="archive-tree" aria-label="${t('Files in the model ZIP archive')}">
+            ${renderArchiveTreeNode(tree, 0)}
+        </div>
+        <div class="archive-preview" hidden>
+            <div class="archive-preview-header">
+                <span class="archive-preview-title"></span>
+                <button type="button" class="archive-action-btn" data-archive-action="close-preview">${t('Close Preview')}</button>
+            </div>
+            <div class="archive-preview-body" aria-live="polite"></div>
+        </div>`;
+
+    containerElement.addEventListener('toggle', (e) => {
+        if (e.target.matches('details.archive-folder')) {
+            setupFocusTrap(); // Collapsed folders hide their buttons
+        }
+    }, true);
+
+    containerElement.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-archive-action]');
+        if (!button) return;
+        const path = button.closest('.archive-file')?.dataset.path;
+        const action = button.dataset.archiveAction;
+
+        if (action === 'preview') {
+            showArchivePreview(containerElement, zip, path);
+        } else if (action === 'download') {
+            downloadArchiveEntry(zip, path);
+        } else if (action === 'close-preview') {
+            closeArchivePreview(containerElement);
+        }
+    });
+}
+
+async function showArchivePreview(containerElement, zip, path) {
+    const entry = zip.file(path);
+    const previewElement = containerElement.querySelector('.archive-preview');
+    const body = previewElement.querySelector('.archive-preview-body');
+    if (!entry) return;
+
+    revokeArchivePreviewUrl();
+    previewElement.hidden = false;
+    previewElement.querySelector('.archive-preview-title').textContent = path;
+    body.innerHTML = `<p class="loading-zip-message">${t('Loading preview...')}</p>`;
+    setupFocusTrap();
+
+    try {
+        const previewType = getArchivePreviewType(path);
+        if (previewType === 'image') {
+            archivePreviewObjectUrl = URL.createObjectURL(await entry.async('blob'));
+            body.innerHTML = `<img class="archive-preview-image" src="${archivePreviewObjectUrl}" alt="${t('Preview of {file}', { file: escapeHTML(path) })}">`;
+        } else if (previewType === 'decoded-image') {
+            const decoded = decodeImageByExtension(path, await entry.async('arraybuffer'));
+            const canvas = decodedImageToCanvas(decoded);
+            canvas.className = 'archive-preview-image';
+            canvas.setAttribute('role', 'img');
+            canvas.setAttribute('aria-label', t('Preview of {file} ({width}×{height})', { file: path, width: decoded.width, height: decoded.height }));
+            body.innerHTML = `<p class="archive-meta">${decoded.width} × ${decoded.height} px</p>`;
+            body.appendChild(canvas);
+        } else {
+            const sizes = getZipEntrySizes(entry);
+            let text = await entry.async('string');
+            const isTruncated = text.length > ARCHIVE_TEXT_PREVIEW_LIMIT;
+            if (previewType === 'json' && !isTruncated) {
+                try {
+                    text = JSON.stringify(JSON.parse(text), null, 2);
+                } catch (error) {
+                    // Invalid JSON is still worth showing as plain text
+                }
+            }
+            const pre = document.createElement('pre');
+            pre.className = 'archive-preview-text';
+            pre.textContent = isTruncated ? text.slice(0, ARCHIVE_TEXT_PREVIEW_LIMIT) : text;
+            body.innerHTML = isTruncated
+                ? `<p class="archive-meta">${t('Showing the first {limit} of {size}.', { limit: formatBytes(ARCHIVE_TEXT_PREVIEW_LIMIT), size: formatBytes(sizes.uncompressed) })}</p>`
+                : '';
+            body.appendChild(pre);
+        }
+    } catch (error) {
+        console.error(`Could not preview ${path}:`, error);
+        body.innerHTML = `<p class="error-zip-message">${t('Could not preview this file. ({error})', { error: escapeHTML(error.message) })}</p>`;
+    }
+}
+
+function closeArchivePreview(containerElement) {
+    const previewElement = containerElement.querySelector('.archive-preview');
+    revokeArchivePreviewUrl();
+    previewElement.hidden = true;
+    previewElement.querySelector('.archive-preview-body').innerHTML = '';
+    setupFocusTrap();
+}
+
+function revokeArchivePreviewUrl() {
+    if (archivePreviewObjectUrl) {
+        URL.revokeObjectURL(archivePreviewObjectUrl);
+        archivePreviewObjectUrl = null;
+    }
+}
+
+async function downloadArchiveEntry(zip, path) {
+    const entry = zip.file(path);
+    if (!entry) {
+        showNotification(t('That file is no longer available in the archive.'), 'error');
+        return;
+    }
+    try {
+        triggerBlobDownload(await entry.async('blob'), path.split('/').pop());
+        showNotification(t('Downloading {file}...', { file: path.split('/').pop() }), 'success');
+    } catch (error) {
+        console.error(`Could not extract ${path}:`, error);
+        showNotification(t('The file could not be extracted from the archive.'), 'error');
+    }
+}
+
+
+// --- PARTIAL EXPORT ---
+// Lets users tick inclusions and/or individual archive entries and download just those as a new ZIP.
+
+const PARTIAL_EXPORT_MANIFEST_NAME = 'hoyarchive-export.json'; // Named so it doesn't replace a mod's own manifest.json
+
+function isArchiveHash(value) {
+    return /^[0-9a-f]{8}$/i.test(String(value ?? ''));
+}
+
+/**
+ * Maps each hash to the archive paths that belong to it: entries with the hash in their path,
+ * plus files named after the mod component a `[TextureOverride...]` section binds to that hash
+ * (e.g. `hash = 1fbe8217` in `[TextureOverrideSkirkBody]` claims `SkirkBody.ib`, `SkirkBodyDiffuse.dds`).
+ */
+async function mapArchiveFilesByHash(zip, hashes) {
+    const entries = getZipFileEntries(zip);
+    const componentsByHash = new Map();
+
+    for (const iniEntry of entries.filter(entry => getFileExtension(entry.name) === 'ini')) {
+        const { overrides } = parseMigotoIni(await iniEntry.async('string'), iniEntry.name);
+        overrides.forEach(override => {
+            const hash = override.hash?.toLowerCase();
+            const component = override.name.replace(/^TextureOverride/i, '').toLowerCase();
+            if (!hash || !component) return;
+            if (!componentsByHash.has(hash)) componentsByHash.set(hash, []);
+            componentsByHash.get(hash).push({ component, directory: getDirectory(iniEntry.name) });
+        });
+    }
+
+    const filesByHash = new Map();
+    hashes.forEach(rawHash => {
+        const hash = rawHash.toLowerCase();
+        const components = componentsByHash.get(hash) || [];
+        const matches = entries.filter(entry => {
+            const path = entry.name.toLowerCase();
+            if (path.includes(hash)) return true;
+            const fileName = path.split('/').pop();
+            return components.some(({ component, directory }) => path.startsWith(directory.toLowerCase()) && fileName.startsWith(component));
+        });
+        filesByHash.set(hash, matches.map(entry => entry.name));
+    });
+    return filesByHash;
+}
+
+/**
+ * Wires the inclusion and archive checkboxes in `scope` to a shared selection and the
+ * "Download Selected Parts" button.
+ */
+async function initializePartialExport(scope, character, zip, sourcePath) {
+    const exportSection = scope.querySelector('.partial-export');
+    const exportBtn = scope.querySelector('.partial-export-btn');
+    const summary = scope.querySelector('.partial-export-summary');
+    const inclusionElements = Array.from(scope.querySelectorAll('.inclusion[data-inclusion-id]'));
+    if (!exportSection || !exportSection.isConnected) return;
+
+    const filesByHash = await mapArchiveFilesByHash(zip, inclusionElements.map(el => el.dataset.inclusionId));
+    if (!exportSection.isConnected) return; // Overlay was closed or switched meanwhile
+    const selectedPaths = new Set();
+
+    const syncCheckboxes = () => {
+        scope.querySelectorAll('.archive-file[data-path]').forEach(row => {
+            row.querySelector('.archive-select').checked = selectedPaths.has(row.dataset.path);
+        });
+        inclusionElements.forEach(el => {
+            const files = filesByHash.get(el.dataset.inclusionId) || [];
+            const checkbox = el.querySelector('.inclusion-select');
+            const selectedCount = files.filter(path => selectedPaths.has(path)).length;
+            checkbox.checked = files.length > 0 && selectedCount === files.length;
+            checkbox.indeterminate = selectedCount > 0 && selectedCount < files.length;
+        });
+        exportBtn.disabled = selectedPaths.size === 0;
+        summary.textContent = selectedPaths.size === 0
+            ? t('Select inclusions or files to build a custom download.')
+            : tn('{count} file selected.', '{count} files selected.', selectedPaths.size);
+    };
+
+    inclusionElements.forEach(el => {
+        const files = filesByHash.get(el.dataset.inclusionId) || [];
+        const checkbox = el.querySelector('.inclusion-select');
+        checkbox.disabled = files.length === 0;
+        checkbox.addEventListener('change', () => {
+            files.forEach(path => (checkbox.checked ? selectedPaths.add(path) : selectedPaths.delete(path)));
+            syncCheckboxes();
+        });
+    });
+
+    scope.querySelector('.zip-contents-list')?.addEventListener('change', (e) => {
+        if (!e.target.matches('.archive-select')) return;
+        const path = e.target.closest('.archive-file').dataset.path;
+        e.target.checked ? selectedPaths.add(path) : selectedPaths.delete(path);
+        syncCheckboxes();
+    });
+
+    exportBtn.addEventListener('click', async () => {
+        exportBtn.disabled = true;
+        summary.textContent = t('Building custom archive...');
+        try {
+            const inclusions = (character.inclusions || [])
+                .filter(info => isArchiveHash(info.id))
+                .map(info => ({ info, files: filesByHash.get(String(info.id).toLowerCase()) || [] }))
+                .filter(({ files }) => files.length > 0 && files.every(path => selectedPaths.has(path)));
+            const blob = await buildPartialArchive(zip, [...selectedPaths], {
+                character: { id: character.id, name: character.name },
+                source: sourcePath,
+                inclusions
+            });
+            const safeName = String(character.name || 'character').toLowerCase().replace(/\s+/g, '_').replace(/[^\w.-]/g, '');
+            triggerBlobDownload(blob, `${safeName}_${character.id}_custom.zip`);
+            showNotification(tn('Downloading {count} selected file...', 'Downloading {count} selected files...', selectedPaths.size), 'success');
+        } catch (error) {
+            console.error('Failed to build custom archive:', error);
+            showNotification(t('The custom archive could not be created.'), 'error');
+        } finally {
+            syncCheckboxes();
+        }
+    });
+
+    exportSection.hidden = false;
+    syncCheckboxes();
+    setupFocusTrap(); // Checkboxes and the export button are focusable now
+}
+
+async function buildPartialArchive(zip, paths, { character, source, inclusions }) {
+    const output = new JSZip();
+    const files = [...paths].sort();
+
+    files.forEach(path => {
+        output.file(path, zip.file(path).async('uint8array'));
+    });
+
+    const manifest = {
+        generatedBy: 'HoYarchive',
+        generatedAt: new Date().toISOString(),
+        character,
+        source,
+        inclusions: inclusions.map(({ info, files: inclusionFiles }) => ({
+            id: info.id,
+            name: richTextToPlainText(info.name),
+            files: inclusionFiles
+        })),
+        files: files.map(path => ({ path, size: getZipEntrySizes(zip.file(path)).uncompressed }))
+    };
+    if (!files.includes(PARTIAL_EXPORT_MANIFEST_NAME)) { // A selected file always wins over the manifest
+        output.file(PARTIAL_EXPORT_MANIFEST_NAME, JSON.stringify(manifest, null, 2));
+    }
+
+    return output.generateAsync({ type: 'blob', compression: 'DEFLATE' });
+}
+
+
+// --- INCLUSION DETECTION ---
+// Reads the 3DMigoto/GIMI dump structure of an archive (hash-named buffers and textures, `.ini`
+// TextureOverride sections) to check the listed inclusions against what is actually in the ZIP.
+
+const MIGOTO_BUFFER_EXTENSIONS = ['buf', 'ib', 'vb', 'fmt'];
+
+/**
+ * Finds the part hashes in an archive: hashes bound by `[TextureOverride...]` sections (named after
+ * the section, `TextureOverrideSkirkBody` → "Skirk Body") and hashes in file names. Returns
+ * `[{ hash, name, files, buffers, textures, overrides }]` with `.ini` hashes first; `overrides` are
+ * `{ section, path }` of the sections binding the hash.
+ */
+async function detectArchiveInclusions(zip) {
+    const groups = new Map();
+    const getGroup = (hash) => {
+        if (!groups.has(hash)) groups.set(hash, { hash, name: '', files: [], buffers: [], textures: [], overrides: [] });
+        return groups.get(hash);
+    };
+
+    for (const iniEntry of getZipFileEntries(zip).filter(entry => getFileExtension(entry.name) === 'ini')) {
+        const { overrides } = parseMigotoIni(await iniEntry.async('string'), iniEntry.name);
+        overrides.forEach(override => {
+            const hash = override.hash?.toLowerCase();
+            if (!isArchiveHash(hash)) return;
+            const group = getGroup(hash);
+            group.overrides.push({ section: override.name, path: iniEntry.name });
+            if (!group.name) {
+                group.name = override.name
+                    .replace(/^TextureOverride/i, '')
+                    .replace(/([a-z])([A-Z])/g, '$1 $2')
+                    .replace(/[_-]+/g, ' ')
+                    .trim();
+            }
+        });
+    }
+
+    // Dumps name either the files or their folders after the hash. All-digit matches are far more
+    // likely dates or frame numbers than hashes.
+    getZipFileEntries(zip).forEach(entry => {
+        entry.name.split('/')
+            .map(extractHashFromPath)
+            .filter(hash => hash && !/^\d+$/.test(hash))
+            .forEach(getGroup);
+    });
+
+    const filesByHash = await mapArchiveFilesByHash(zip, [...groups.keys()]);
+    groups.forEach(group => {
+        group.files = filesByHash.get(group.hash) || [];
+        group.buffers = group.files.filter(path => MIGOTO_BUFFER_EXTENSIONS.includes(getFileExtension(path)));
+        group.textures = group.files.filter(path => VIEWER_TEXTURE_EXTENSIONS.includes(getFileExtension(path)));
+    });
+    return [...groups.values()];
+}
+
+function describeInclusionGroup(group) {
+    const otherCount = group.files.length - group.buffers.length - group.textures.length;
+    return [
+        group.buffers.length ? tn('{count} buffer', '{count} buffers', group.buffers.length) : '',
+        group.textures.length ? tn('{count} texture', '{count} textures', group.textures.length) : '',
+        otherCount ? tn('{count} other file', '{count} other files', otherCount) : '',
+        group.overrides.length ? tn('{count} .ini override', '{count} .ini overrides', group.overrides.length) : ''
+    ].filter(Boolean).join(' · ') || t('hash only');
+}
+
+function generateInclusionGroupFilesHTML(group) {
+    return `
+        <ul class="inclusion-archive-files">
+            ${group.overrides.map(override => `<li><code>${escapeHTML(override.path)}</code> [${escapeHTML(override.section)}]</li>`).join('')}
+            ${group.files.map(path => `<li><code>${escapeHTML(path)}</code></li>`).join('')}
+        </ul>`;
+}
+
+/**
+ * Marks each listed inclusion in `scope` as present in or missing from the archive, and lists the
+ * hashes found in the archive that no inclusion mentions.
+ */
+async function initializeInclusionCheck(scope, character, zip) {
+    const report = scope.querySelector('.archive-inclusion-check');
+    if (!report) return;
+
+    const groups = await detectArchiveInclusions(zip);
+    if (!report.isConnected) return; // Overlay was closed or switched meanwhile
+    const groupsByHash = new Map(groups.filter(group => group.files.length || group.overrides.length).map(group => [group.hash, group]));
+    const listedHashes = new Set((character.inclusions || []).map(info => String(info.id).toLowerCase()).filter(isArchiveHash));
+
+    scope.querySelectorAll('.inclusion[data-inclusion-id]').forEach(el => {
+        const group = groupsByHash.get(el.dataset.inclusionId);
+        const status = el.querySelector('.inclusion-archive-status');
+        el.classList.toggle('inclusion-missing', !group);
+        status.innerHTML = group
+            ? `<details><summary>${t('In archive: {parts}', { parts: describeInclusionGroup(group) })}</summary>${generateInclusionGroupFilesHTML(group)}</details>`
+            : t('Not found in the archive');
+    });
+
+    const foundCount = [...listedHashes].filter(hash => groupsByHash.has(hash)).length;
+    const unlisted = groups.filter(group => !listedHashes.has(group.hash));
+    report.innerHTML = `
+        <p>${listedHashes.size
+            ? tn('{found} of {count} listed inclusion found in the archive.', '{found} of {count} listed inclusions found in the archive.', listedHashes.size, { found: foundCount })
+            : t('No inclusions with hashes are listed.')}</p>
+        ${unlisted.length ? `
+            <details class="unlisted-hashes">
+                <summary>${tn('{count} part hash in the archive is not listed', '{count} part hashes in the archive are not listed', unlisted.length)}</summary>
+                <ul>
+                    ${unlisted.map(group => `
+                        <li>
+                            <details>
+                                <summary><span class="inclusion-id">${escapeHTML(group.hash)}</span> ${group.name ? `${escapeHTML(group.name)} · ` : ''}${describeInclusionGroup(group)}</summary>
+                                ${generateInclusionGroupFilesHTML(group)}
+                            </details>
+                        </li>`).join('')}
+                </ul>
+            </details>` : ''}`;
+    report.hidden = false;
+    setupFocusTrap(); // The new summaries are focusable
+}
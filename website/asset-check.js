@@ -0,0 +1,164 @@
+// --- ASSET CHECK ---
+// Whether a character's model can be downloaded: data.json marks archives that were missing or
+// unreadable when it was built (modelAvailable), and archives that turn out to be missing later are
+// marked here. Cards and the overlay then show "Model unavailable" instead of download controls.
+//
+// The admin panel (open index.html#admin) checks every character's assets over HTTP: missing
+// files, images above ASSET_IMAGE_SIZE_LIMIT, and model archives JSZip can't open or that don't
+// match assets.modelSha256. scripts/check-assets.js runs the same checks on disk and also finds
+// orphan folders, which a browser can't list.
+
+const ASSET_CHECK_HASH = '#admin';
+const ASSET_IMAGE_SIZE_LIMIT = 1024 * 1024; // Keep in sync with IMAGE_SIZE_LIMIT in scripts/check-assets.js
+const ASSET_FALLBACK_IMAGES = ['characters/generic/splash.png', 'characters/generic/splash_error.png'];
+
+const assetCheckPanel = document.getElementById('assetCheckPanel');
+
+const unavailableModelIds = new Set(); // Found missing after data.json was built
+let assetCheckIssues = null; // null until the check has run
+let assetCheckProgress = null; // { done, total } while it runs
+
+function isModelAvailable(character) {
+    return character.modelAvailable !== false && !unavailableModelIds.has(String(character.id));
+}
+
+function generateModelUnavailableBadgeHTML(character) {
+    return isModelAvailable(character) ? '' : `<span class="character-badge model-unavailable-badge">${t('Model unavailable')}</span>`;
+}
+
+/**
+ * Records that a model archive can't be loaded and updates the character's card.
+ */
+function markModelUnavailable(characterId) {
+    const id = String(characterId);
+    if (unavailableModelIds.has(id)) return;
+    unavailableModelIds.add(id);
+
+    const card = characterGrid.querySelector(`.character-card[data-character-id="${CSS.escape(id)}"]`);
+    if (!card || card.classList.contains('model-unavailable')) return;
+    card.classList.add('model-unavailable');
+    card.querySelector('.character-meta')?.insertAdjacentHTML('beforeend', generateModelUnavailableBadgeHTML({ id }));
+}
+
+// --- ADMIN PANEL ---
+function initializeAssetCheck() {
+    if (!assetCheckPanel) return;
+    assetCheckPanel.addEventListener('click', handleAssetCheckClick);
+    window.addEventListener('hashchange', renderAssetCheckPanel);
+    renderAssetCheckPanel();
+}
+
+function renderAssetCheckPanel() {
+    assetCheckPanel.hidden = window.location.hash !== ASSET_CHECK_HASH;
+    if (assetCheckPanel.hidden) return;
+
+    const wasOpen = assetCheckPanel.querySelector('.data-report-details')?.open ?? true;
+    const errorCount = (assetCheckIssues || []).filter(issue => issue.severity === 'error').length;
+    const warningCount = (assetCheckIssues || []).length - errorCount;
+    let summary = t('not run yet');
+    if (assetCheckProgress) {
+        summary = tn('checking {done} of {count} character...', 'checking {done} of {count} characters...', assetCheckProgress.total, { done: formatNumber(assetCheckProgress.done) });
+    } else if (assetCheckIssues?.length === 0) {
+        summary = t('all assets are in place');
+    } else if (assetCheckIssues) {
+        summary = [errorCount && tn('{count} error', '{count} errors', errorCount), warningCount && tn('{count} warning', '{count} warnings', warningCount)]
+            .filter(Boolean)
+            .join(' · ');
+    }
+
+    assetCheckPanel.innerHTML = `
+        <details class="data-report-details"${wasOpen ? ' open' : ''}>
+            <summary><strong id="asset-check-heading">${t('Asset check:')}</strong> ${escapeHTML(summary)}</summary>
+            <p class="offline-note">
+                ${t('Looks for missing splash, gallery and model files, images over {size} and model archives that can\'t be opened, downloading every model once. Folders without a character are only found by {command}.', { size: formatBytes(ASSET_IMAGE_SIZE_LIMIT), command: '<code>node scripts/check-assets.js</code>' })}
+            </p>
+            <button type="button" class="action-btn viewer-btn" data-asset-check-action="run"${assetCheckProgress ? ' disabled' : ''}>${assetCheckIssues ? t('Check Again') : t('Run Check')}</button>
+            ${assetCheckIssues?.length ? `
+                <ul class="data-report-list">
+                    ${assetCheckIssues.map(issue => `
+                        <li class="data-report-item data-report-${issue.severity}">
+                            <span class="data-report-severity">${issue.severity === 'error' ? t('error') : t('warning')}</span>
+                            <strong>${escapeHTML(issue.characterId ?? t('site'))}</strong>
+                            <code>${escapeHTML(issue.path)}</code>
+                            ${escapeHTML(issue.message)}
+                        </li>`).join('')}
+                </ul>` : ''}
+        </details>`;
+}
+
+async function handleAssetCheckClick(e) {
+    if (!e.target.closest('[data-asset-check-action="run"]') || assetCheckProgress) return;
+
+    const issues = [];
+    assetCheckProgress = { done: 0, total: characters.length };
+    renderAssetCheckPanel();
+    for (const asset of ASSET_FALLBACK_IMAGES) {
+        const response = await fetchAssetHead(asset);
+        if (!response?.ok) issues.push({ severity: 'error', characterId: null, path: asset, message: t('does not exist, so characters without a working splash show a broken image') });
+    }
+    for (const character of characters) {
+        issues.push(...await checkCharacterAssets(character));
+        assetCheckProgress.done++;
+        renderAssetCheckPanel();
+    }
+    assetCheckIssues = issues;
+    assetCheckProgress = null;
+    renderAssetCheckPanel();
+    assetCheckPanel.querySelector('[data-asset-check-action="run"]')?.focus();
+}
+
+/**
+ * HEAD response for an asset, or null when the request itself fails. Bypasses the HTTP cache so
+ * the check sees what is deployed.
+ */
+async function fetchAssetHead(url) {
+    try {
+        return await fetch(url, { method: 'HEAD', cache: 'no-store' });
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * The issues of one character, in the shape of the data check. Marks the model unavailable when
+ * its archive can't be used.
+ */
+async function checkCharacterAssets(indexEntry) {
+    const character = await loadCharacterDetails(indexEntry); // The gallery is only in the full entry
+    const issues = [];
+    const report = (severity, path, message) => issues.push({ severity, characterId: character.id, path, message });
+
+    const images = [
+        ['assets.splashImage', character.assets?.splashImage],
+        ...(Array.isArray(character.assets?.gallery) ? character.assets.gallery : []).map((image, index) => [`assets.gallery[${index}].src`, image?.src])
+    ].filter(([, src]) => src);
+    for (const [path, src] of images) {
+        const response = await fetchAssetHead(src);
+        const size = Number(response?.headers.get('content-length'));
+        if (!response?.ok) {
+            report('error', path, response
+                ? t('{file} could not be loaded (HTTP {status})', { file: src, status: response.status })
+                : t('{file} could not be loaded', { file: src }));
+        } else if (size > ASSET_IMAGE_SIZE_LIMIT) {
+            report('warning', path, t('{file} is {size}, more than the {limit} an image should have', { file: src, size: formatBytes(size), limit: formatBytes(ASSET_IMAGE_SIZE_LIMIT) }));
+        }
+    }
+
+    const modelPath = getModelDownloadPath(character);
+    const modelField = character.assets?.modelDownload ? 'assets.modelDownload' : t('(default model path)');
+    try {
+        const response = await fetch(modelPath, { cache: 'no-store' });
+        if (!response.ok) throw new Error(t('{file} could not be loaded (HTTP {status})', { file: modelPath, status: response.status }));
+        const blob = await response.blob();
+        try {
+            await JSZip.loadAsync(blob);
+        } catch (error) {
+            throw new Error(t('{file} can\'t be read: {error}', { file: modelPath, error: error.message }));
+        }
+        await verifyDownloadChecksum(blob, character.assets?.modelSha256);
+    } catch (error) {
+        report('error', modelField, error.message);
+        markModelUnavailable(character.id);
+    }
+    return issues;
+}
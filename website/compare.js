@@ -0,0 +1,312 @@
+// --- CHARACTER COMPARISON ---
+// Two to four characters can be picked from the grid and shown side by side: badges, model info,
+// inclusions (parts shared with the other picks are highlighted) and model archive statistics.
+// The picks only last for the visit; the full entries and archives are loaded when the view opens.
+
+const COMPARE_MIN_CHARACTERS = 2;
+const COMPARE_MAX_CHARACTERS = 4;
+
+const compareTray = document.getElementById('compareTray');
+const compareDialog = document.getElementById('compareDialog');
+
+let compareSelection = []; // Character IDs in the order they were picked
+let compareReturnFocusElement = null;
+const compareArchiveStatsCache = new Map(); // Model path → promise of { fileCount, unpackedSize, archiveSize }
+
+function initializeCompare() {
+    if (!compareTray || !compareDialog) return;
+
+    document.addEventListener('click', handleCompareToggleClick);
+    compareTray.addEventListener('click', handleCompareTrayClick);
+    compareDialog.addEventListener('click', handleCompareDialogClick);
+    compareDialog.addEventListener('keydown', handleCompareDialogKeydown);
+    renderCompareTray();
+}
+
+function isInComparison(characterId) {
+    return compareSelection.includes(String(characterId));
+}
+
+/**
+ * Adds or removes a character. Returns false when the comparison is already full.
+ */
+function toggleCompareSelection(characterId) {
+    const id = String(characterId);
+    if (isInComparison(id)) {
+        compareSelection = compareSelection.filter(selectedId => selectedId !== id);
+    } else if (compareSelection.length >= COMPARE_MAX_CHARACTERS) {
+        showNotification(t('Up to {count} characters can be compared. Remove one first.', { count: COMPARE_MAX_CHARACTERS }), 'info');
+        return false;
+    } else {
+        compareSelection.push(id);
+    }
+    refreshCompareViews();
+    return true;
+}
+
+function clearCompareSelection() {
+    compareSelection = [];
+    refreshCompareViews();
+}
+
+function getComparedCharacters() {
+    return compareSelection
+        .map(id => characters.find(character => String(character.id) === id))
+        .filter(Boolean);
+}
+
+// --- SELECTION UI ---
+function generateCompareToggleHTML(character, { isFocusable = true } = {}) {
+    const name = character.name || t('this character');
+    const isSelected = isInComparison(character.id);
+    return `
+        <button type="button" class="compare-toggle" data-compare-id="${escapeHTML(character.id)}"${isFocusable ? '' : ' tabindex="-1"'} aria-pressed="${isSelected}" aria-label="${escapeHTML(t('Compare {name}', { name }))}" title="${escapeHTML(t(isSelected ? 'Remove from comparison' : 'Add to comparison'))}">
+            <span aria-hidden="true">⇄</span>
+        </button>`;
+}
+
+function renderCompareTray() {
+    const comparedCharacters = getComparedCharacters();
+    const count = comparedCharacters.length;
+
+    compareTray.hidden = count === 0;
+    compareTray.innerHTML = count === 0 ? '' : `
+        <span class="compare-tray-label">${t('Compare ({count}/{max}):', { count, max: COMPARE_MAX_CHARACTERS })}</span>
+        <ul class="compare-tray-list">
+            ${comparedCharacters.map(character => `
+                <li class="compare-tray-item">
+                    ${escapeHTML(character.name)}
+                    <button type="button" class="compare-tray-remove" data-compare-id="${escapeHTML(character.id)}" aria-label="${escapeHTML(t('Remove {name} from comparison', { name: character.name }))}">×</button>
+                </li>`).join('')}
+        </ul>
+        <button type="button" class="action-btn viewer-btn" data-compare-action="open"${count < COMPARE_MIN_CHARACTERS ? ' disabled' : ''}>
+            ${count < COMPARE_MIN_CHARACTERS ? t('Pick {count} more', { count: COMPARE_MIN_CHARACTERS - count }) : t('Compare')}
+        </button>
+        <button type="button" class="archive-action-btn" data-compare-action="clear">${t('Clear')}</button>`;
+}
+
+function refreshCompareViews() {
+    document.querySelectorAll('.compare-toggle[data-compare-id]').forEach(button => {
+        const isSelected = isInComparison(button.dataset.compareId);
+        button.setAttribute('aria-pressed', String(isSelected));
+        button.title = t(isSelected ? 'Remove from comparison' : 'Add to comparison');
+    });
+    renderCompareTray();
+
+    if (!compareDialog.hidden) {
+        if (compareSelection.length < COMPARE_MIN_CHARACTERS) {
+            closeCompareView();
+        } else {
+            renderCompareView();
+        }
+    }
+}
+
+// --- COMPARISON VIEW ---
+function openCompareView(triggerElement) {
+    if (compareSelection.length < COMPARE_MIN_CHARACTERS) return;
+    compareReturnFocusElement = triggerElement || document.activeElement;
+
+    compareDialog.hidden = false;
+    requestAnimationFrame(() => compareDialog.classList.add('active'));
+    disableBodyScroll();
+    renderCompareView();
+    compareDialog.querySelector('.compare-dialog-panel').focus();
+}
+
+function closeCompareView() {
+    if (compareDialog.hidden) return;
+    compareDialog.classList.remove('active');
+    compareDialog.hidden = true;
+    enableBodyScroll();
+    if (compareReturnFocusElement?.isConnected) compareReturnFocusElement.focus();
+}
+
+/**
+ * Key under which an inclusion is matched across characters: the part hash when it has one,
+ * otherwise its name.
+ */
+function getInclusionCompareKey(inclusion) {
+    if (isArchiveHash(inclusion.id)) return `hash:${String(inclusion.id).toLowerCase()}`;
+    return `name:${String(inclusion.name || '').trim().toLowerCase()}`;
+}
+
+/**
+ * How many of the compared characters list each inclusion key (counted once per character).
+ */
+function countSharedInclusions(comparedCharacters) {
+    const counts = new Map();
+    comparedCharacters.forEach(character => {
+        new Set((character.inclusions || []).map(getInclusionCompareKey)).forEach(key => {
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+    });
+    return { counts, total: comparedCharacters.length };
+}
+
+async function renderCompareView() {
+    const comparedCharacters = getComparedCharacters();
+    const body = compareDialog.querySelector('.compare-body');
+    body.style.setProperty('--compare-columns', comparedCharacters.length);
+    body.innerHTML = comparedCharacters.map(character => generateCompareColumnHTML(character, null)).join('');
+
+    const selectionAtRender = compareSelection.join('\n');
+    const detailedCharacters = await Promise.all(comparedCharacters.map(loadCharacterDetails));
+    if (compareDialog.hidden || compareSelection.join('\n') !== selectionAtRender) return; // Changed meanwhile
+
+    const sharing = countSharedInclusions(detailedCharacters);
+    body.innerHTML = detailedCharacters.map(character => generateCompareColumnHTML(character, sharing)).join('');
+    detailedCharacters.filter(isModelAvailable).forEach(character => fillCompareArchiveStats(body, character));
+}
+
+/**
+ * One column of the comparison. `sharing` (from countSharedInclusions) is null while the full
+ * entries are loading.
+ */
+function generateCompareColumnHTML(character, sharing) {
+    const imageSrc = sanitizeUrl(character.assets?.splashImage) || 'characters/generic/splash.png';
+    const characterName = escapeHTML(character.name || t('Unknown Character'));
+
+    return `
+        <article class="compare-column" data-character-id="${escapeHTML(character.id)}" aria-label="${characterName}">
+            <img src="${escapeHTML(imageSrc)}" alt="${escapeHTML(t('Splash art for {name}', { name: character.name || t('Unknown Character') }))}" class="compare-splash" loading="lazy">
+            <div class="compare-heading">
+                <h3>${characterName}</h3>
+                <button type="button" class="compare-tray-remove" data-compare-id="${escapeHTML(character.id)}" aria-label="${escapeHTML(t('Remove {name} from comparison', { name: character.name || t('Unknown Character') }))}">×</button>
+            </div>
+            <div class="character-meta">${generateCharacterBadgesHTML(character)}</div>
+            <section class="compare-section">
+                <h4>${t('Model Info')}</h4>
+                <div class="rich-text">${renderRichText(character.modelInfo) || `<p>${t('No background information available.')}</p>`}</div>
+                ${character.meta?.uploadDate ? `<p class="compare-note">${t('Uploaded {date}', { date: generateDateHTML(character.meta.uploadDate) })}</p>` : ''}
+            </section>
+            <section class="compare-section">
+                <h4>${t('Inclusions')}</h4>
+                ${generateCompareInclusionsHTML(character, sharing)}
+            </section>
+            <section class="compare-section">
+                <h4>${t('Model Archive')}</h4>
+                <p class="compare-archive-stats" aria-live="polite">${!isModelAvailable(character) ? t('Model unavailable') : t(sharing ? 'Reading the model archive...' : 'Loading...')}</p>
+            </section>
+            <button type="button" class="action-btn viewer-btn" data-compare-action="details" data-character-id="${escapeHTML(character.id)}">${t('View Details')}</button>
+        </article>`;
+}
+
+function generateCompareInclusionsHTML(character, sharing) {
+    const inclusions = character.inclusions || [];
+    if (inclusions.length === 0) return `<p class="compare-note">${t('No inclusions listed.')}</p>`;
+
+    return `
+        <ul class="compare-inclusions">
+            ${inclusions.map(inclusion => {
+                const sharedCount = sharing?.counts.get(getInclusionCompareKey(inclusion)) || 0;
+                let sharingClass = '';
+                let sharingLabel = '';
+                if (sharing && sharedCount >= sharing.total) {
+                    sharingClass = 'shared';
+                    sharingLabel = t('In every compared model');
+                } else if (sharing && sharedCount > 1) {
+                    sharingClass = 'partly-shared';
+                    sharingLabel = t('In {count} of {total} compared models', { count: sharedCount, total: sharing.total });
+                } else if (sharing) {
+                    sharingClass = 'unique';
+                    sharingLabel = t('Only in this model');
+                }
+                return `
+                <li class="compare-inclusion${sharingClass ? ` ${sharingClass}` : ''}">
+                    <span class="compare-inclusion-name">${renderRichText(inclusion.name, { inline: true }) || escapeHTML(t('Unnamed Inclusion'))}</span>
+                    ${inclusion.id ? `<span class="inclusion-id">${escapeHTML(inclusion.id)}</span>` : ''}
+                    ${sharingLabel ? `<span class="compare-inclusion-sharing">${sharingLabel}</span>` : ''}
+                </li>`;
+            }).join('')}
+        </ul>`;
+}
+
+/**
+ * File count and sizes of a model archive. Only the statistics are kept, not the archive.
+ */
+function loadArchiveStats(character) {
+    const modelPath = getModelDownloadPath(character);
+    if (!compareArchiveStatsCache.has(modelPath)) {
+        const request = (async () => {
+            if (typeof JSZip === 'undefined') throw new Error('the ZIP library is not loaded');
+            const response = await fetch(modelPath);
+            if (!response.ok) {
+                throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
+            }
+            const blob = await response.blob();
+            const entries = getZipFileEntries(await JSZip.loadAsync(blob));
+            return {
+                fileCount: entries.length,
+                unpackedSize: entries.reduce((sum, entry) => sum + (getZipEntrySizes(entry).uncompressed || 0), 0),
+                archiveSize: blob.size
+            };
+        })();
+        request.catch(() => compareArchiveStatsCache.delete(modelPath)); // Allow a retry on the next opening
+        compareArchiveStatsCache.set(modelPath, request);
+    }
+    return compareArchiveStatsCache.get(modelPath);
+}
+
+async function fillCompareArchiveStats(body, character) {
+    const findStatsElement = () => body.querySelector(`.compare-column[data-character-id="${CSS.escape(String(character.id))}"] .compare-archive-stats`);
+    try {
+        const stats = await loadArchiveStats(character);
+        const statsElement = findStatsElement();
+        if (!statsElement) return;
+        statsElement.innerHTML = `
+            ${tn('<strong>{count}</strong> file', '<strong>{count}</strong> files', stats.fileCount)} ·
+            ${t('<strong>{size}</strong> unpacked', { size: formatBytes(stats.unpackedSize) })} ·
+            ${t('<strong>{size}</strong> download', { size: formatBytes(stats.archiveSize) })}`;
+    } catch (error) {
+        console.error(`Could not read the model archive of ${character.id}:`, error);
+        const statsElement = findStatsElement();
+        if (statsElement) statsElement.textContent = t('The model archive could not be read ({error}).', { error: error.message });
+    }
+}
+
+// --- EVENTS ---
+function handleCompareToggleClick(e) {
+    const toggle = e.target.closest('.compare-toggle[data-compare-id]');
+    if (toggle) toggleCompareSelection(toggle.dataset.compareId);
+}
+
+function handleCompareTrayClick(e) {
+    const removeButton = e.target.closest('.compare-tray-remove');
+    if (removeButton) {
+        toggleCompareSelection(removeButton.dataset.compareId);
+        compareTray.querySelector('[data-compare-action="open"]')?.focus(); // The removed chip took the focus with it
+        return;
+    }
+    const button = e.target.closest('[data-compare-action]');
+    if (button?.dataset.compareAction === 'open') openCompareView(button);
+    if (button?.dataset.compareAction === 'clear') clearCompareSelection();
+}
+
+function handleCompareDialogClick(e) {
+    if (e.target === compareDialog) {
+        closeCompareView(); // Click on the backdrop
+        return;
+    }
+    const removeButton = e.target.closest('.compare-tray-remove');
+    if (removeButton) {
+        toggleCompareSelection(removeButton.dataset.compareId);
+        compareDialog.querySelector('.compare-dialog-panel').focus();
+        return;
+    }
+    const button = e.target.closest('[data-compare-action]');
+    if (button?.dataset.compareAction === 'close') closeCompareView();
+    if (button?.dataset.compareAction === 'details') {
+        closeCompareView();
+        showCharacterDetailOverlay(button.dataset.characterId, compareTray.querySelector('[data-compare-action="open"]'));
+    }
+}
+
+function handleCompareDialogKeydown(e) {
+    e.stopPropagation(); // The page's shortcuts don't apply while the dialog is open
+    if (e.key === KEY_ESCAPE) {
+        closeCompareView();
+    } else {
+        trapDialogFocus(compareDialog, e);
+    }
+}
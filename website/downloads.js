@@ -0,0 +1,202 @@
+// --- DOWNLOAD MANAGER ---
+// Model downloads are streamed with fetch so the overlay can show progress, cancel and retry them.
+// The size is looked up (HEAD) before starting, and when `assets.modelSha256` is set the finished
+// file is only saved if its SHA-256 matches. Jobs are tracked per character ID, so closing and
+// reopening the overlay shows a running download again.
+
+const DOWNLOAD_STATE_LABELS = {
+    idle: '',
+    downloading: 'Downloading...',
+    verifying: 'Verifying checksum...',
+    done: 'Download complete.',
+    cancelled: 'Download cancelled.',
+    error: 'Download failed.'
+};
+
+const downloadJobs = new Map(); // Character ID → job of the latest download
+
+function getModelFileName(character) {
+    const safeCharacterName = String(character.name || 'character').toLowerCase().replace(/\s+/g, '_').replace(/[^\w.-]/g, '');
+    return `${safeCharacterName}_${character.id}.zip`;
+}
+
+/**
+ * Size in bytes from a HEAD request, or null when the server doesn't say.
+ */
+async function fetchDownloadSize(path) {
+    try {
+        const response = await fetch(path, { method: 'HEAD' });
+        const size = Number(response.headers.get('content-length'));
+        return response.ok && size > 0 ? size : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+async function readResponseWithProgress(response, onProgress) {
+    if (!response.body?.getReader) {
+        const blob = await response.blob(); // No streams support: progress jumps to 100%
+        onProgress(blob.size);
+        return blob;
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        received += value.length;
+        onProgress(received);
+    }
+    return new Blob(chunks, { type: 'application/zip' });
+}
+
+async function computeSha256(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Checks `blob` against the expected checksum. Returns 'verified', 'no-checksum' or 'unsupported'
+ * (crypto.subtle needs a secure context) and throws on a mismatch.
+ */
+async function verifyDownloadChecksum(blob, expectedChecksum) {
+    if (!expectedChecksum) return 'no-checksum';
+    if (!window.crypto?.subtle) return 'unsupported';
+
+    const actualChecksum = await computeSha256(blob);
+    if (actualChecksum !== expectedChecksum.toLowerCase()) {
+        throw new Error(t('Checksum mismatch: expected {expected}…, got {actual}…. The file may be corrupted or outdated and was not saved.', { expected: expectedChecksum.slice(0, 12), actual: actualChecksum.slice(0, 12) }));
+    }
+    return 'verified';
+}
+
+// --- JOBS ---
+/**
+ * Starts downloading the model of the character with the given ID. There is deliberately no
+ * fallback: an unknown ID is an error rather than a download of some other model.
+ */
+function startModelDownload(characterId) {
+    const character = characters.find(c => String(c.id) === String(characterId));
+    if (!character) {
+        showNotification(t('No character with ID "{id}" was found, so nothing was downloaded.', { id: characterId }), 'error');
+        return null;
+    }
+
+    const runningJob = downloadJobs.get(String(character.id));
+    if (runningJob && ['downloading', 'verifying'].includes(runningJob.state)) return runningJob;
+
+    const job = {
+        characterId: String(character.id),
+        modelPath: getModelDownloadPath(character),
+        state: 'downloading',
+        received: 0,
+        total: null,
+        verification: null,
+        error: null,
+        controller: new AbortController(),
+        listeners: new Set()
+    };
+    downloadJobs.set(job.characterId, job);
+    runDownloadJob(job, character);
+    return job;
+}
+
+function updateDownloadJob(job, changes) {
+    Object.assign(job, changes);
+    job.listeners.forEach(listener => listener(job));
+}
+
+async function runDownloadJob(job, character) {
+    try {
+        const response = await fetch(job.modelPath, { signal: job.controller.signal });
+        if (!response.ok) {
+            throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
+        }
+        updateDownloadJob(job, { total: Number(response.headers.get('content-length')) || null });
+
+        const blob = await readResponseWithProgress(response, received => updateDownloadJob(job, { received }));
+        updateDownloadJob(job, { state: 'verifying', total: job.total || blob.size });
+
+        const verification = await verifyDownloadChecksum(blob, character.assets?.modelSha256);
+        triggerBlobDownload(blob, getModelFileName(character));
+        updateDownloadJob(job, { state: 'done', verification });
+        showNotification(t(verification === 'verified' ? "{name}'s model was downloaded and verified." : "{name}'s model was downloaded.", { name: character.name }), 'success');
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            updateDownloadJob(job, { state: 'cancelled' });
+            return;
+        }
+        console.error(`Download of ${job.modelPath} failed:`, error);
+        updateDownloadJob(job, { state: 'error', error: error.message });
+        showNotification(t("Downloading {name}'s model failed.", { name: character.name }), 'error');
+    }
+}
+
+// --- OVERLAY UI ---
+/**
+ * Wires the `.download-manager` block rendered by generateCharacterDetailHTML.
+ */
+function initializeDownloadManager(scope, character) {
+    const manager = scope.querySelector('.download-manager');
+    if (!manager) return;
+
+    const startBtn = manager.querySelector('.download-btn');
+    const sizeLabel = manager.querySelector('.download-size');
+    let job = downloadJobs.get(String(character.id)) || null;
+    const render = (updatedJob) => {
+        if (manager.isConnected) renderDownloadState(manager, updatedJob);
+    };
+
+    const attach = (newJob) => {
+        if (!newJob) return;
+        job?.listeners.delete(render);
+        job = newJob;
+        job.listeners.add(render);
+        render(job);
+    };
+
+    startBtn.addEventListener('click', () => attach(startModelDownload(character.id)));
+    manager.querySelector('.download-retry-btn').addEventListener('click', () => attach(startModelDownload(character.id)));
+    manager.querySelector('.download-cancel-btn').addEventListener('click', () => job?.controller.abort());
+
+    if (job) attach(job);
+
+    fetchDownloadSize(getModelDownloadPath(character)).then(size => {
+        if (size && sizeLabel.isConnected) sizeLabel.textContent = `(${formatBytes(size)})`;
+    });
+}
+
+function renderDownloadState(manager, job) {
+    const isActive = ['downloading', 'verifying'].includes(job.state);
+    const progress = manager.querySelector('.download-progress');
+    const progressBar = manager.querySelector('progress');
+    const progressText = manager.querySelector('.download-progress-text');
+    const statusText = manager.querySelector('.download-status');
+
+    manager.dataset.state = job.state;
+    manager.querySelector('.download-btn').disabled = isActive;
+    manager.querySelector('.download-cancel-btn').hidden = job.state !== 'downloading';
+    manager.querySelector('.download-retry-btn').hidden = !['error', 'cancelled'].includes(job.state);
+    progress.hidden = job.state === 'idle';
+
+    if (job.total) {
+        progressBar.max = job.total;
+        progressBar.value = job.received;
+        progressText.textContent = t('{received} of {total} ({percent}%)', { received: formatBytes(job.received), total: formatBytes(job.total), percent: Math.floor((job.received / job.total) * 100) });
+    } else {
+        progressBar.removeAttribute('value'); // Indeterminate without a known size
+        progressText.textContent = formatBytes(job.received);
+    }
+
+    const verificationNotes = {
+        verified: 'SHA-256 checksum verified.',
+        'no-checksum': 'No checksum is published for this model, so the file was not verified.',
+        unsupported: 'The checksum could not be checked in this browser (it needs HTTPS).'
+    };
+    statusText.textContent = [t(DOWNLOAD_STATE_LABELS[job.state]), job.state === 'error' ? job.error : '', job.state === 'done' ? t(verificationNotes[job.verification]) : '']
+        .filter(Boolean)
+        .join(' ');
+}
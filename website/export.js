@@ -0,0 +1,247 @@
+// --- EXPORT ---
+// Exports the characters shown in the grid (filteredCharacters, in the grid's order) as JSON, CSV
+// or a Markdown table, with their inclusion ids and the files in their model archive, and copies a
+// single character as Markdown from the overlay (for Discord or issues). The file listings come
+// from website/archives.json, which scripts/build-index.js reads out of the archives on disk;
+// without it the export still works, just without them.
+
+const EXPORT_FORMATS = {
+    json: { label: 'JSON', extension: 'json', type: 'application/json' },
+    csv: { label: 'CSV', extension: 'csv', type: 'text/csv' },
+    markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown' }
+};
+const EXPORT_FORMAT_ID = 'hoyarchive-characters';
+const EXPORT_FORMAT_VERSION = 1;
+const EXPORT_FILE_NAME = 'hoyarchive-characters';
+const ARCHIVE_CATALOGUE_PATH = 'website/archives.json';
+const CSV_COLUMNS = ['id', 'name', 'game', 'rarity', 'element', 'path', 'weapon', 'faction', 'uploader', 'uploadDate', 'updatedDate', 'modelAvailable', 'url', 'inclusionIds', 'inclusionNames', 'archivePath', 'archiveSize', 'archiveFiles'];
+// Cells starting with these are run as formulas by spreadsheet apps
+const CSV_FORMULA_PREFIX_PATTERN = /^[=+\-@\t\r]/;
+
+const exportMenu = document.getElementById('exportMenu');
+
+let archiveCataloguePromise = null;
+
+/**
+ * Resolves with the archives of website/archives.json by character id, fetched once. Resolves
+ * with null (and allows a retry later) when the catalogue can't be loaded.
+ */
+function loadArchiveCatalogue() {
+    if (!archiveCataloguePromise) {
+        archiveCataloguePromise = fetch(ARCHIVE_CATALOGUE_PATH)
+            .then(response => {
+                if (!response.ok) throw new Error(`HTTP error ${response.status} while fetching ${ARCHIVE_CATALOGUE_PATH}.`);
+                return response.json();
+            })
+            .then(catalogue => catalogue.archives || {})
+            .catch(error => {
+                console.error('Error loading the archive catalogue:', error);
+                archiveCataloguePromise = null;
+                return null;
+            });
+    }
+    return archiveCataloguePromise;
+}
+
+function getCharacterPageUrl(character) {
+    return new URL(`characters/${encodeURIComponent(character.id)}/`, document.baseURI).href;
+}
+
+/**
+ * A character as exported: display values (game and uploader names) instead of ids, and its
+ * model archive from the catalogue, or null when the catalogue doesn't list it.
+ */
+function toExportRecord(character, archives) {
+    const archive = archives?.[character.id] || null;
+    return {
+        id: character.id,
+        name: character.name,
+        game: getGame(character.game)?.name || character.game || null,
+        rarity: character.rarity ?? null,
+        element: character.element || null,
+        path: character.path || null,
+        weapon: character.weapon || null,
+        faction: character.faction || null,
+        uploader: getUploaderName(character) || null,
+        uploadDate: character.meta?.uploadDate || null,
+        updatedDate: character.meta?.updatedDate || null,
+        modelAvailable: isModelAvailable(character),
+        url: getCharacterPageUrl(character),
+        inclusions: (character.inclusions || []).map(inclusion => ({ id: String(inclusion.id), name: inclusion.name })),
+        archive: archive && { path: archive.path, size: archive.size, files: archive.files }
+    };
+}
+
+// --- FORMATS ---
+function formatRecordsAsJson(records) {
+    const data = { format: EXPORT_FORMAT_ID, version: EXPORT_FORMAT_VERSION, exportedAt: new Date().toISOString(), source: window.location.href, characters: records };
+    return `${JSON.stringify(data, null, 2)}\n`;
+}
+
+function escapeCsvCell(value) {
+    let text = value == null ? '' : String(value);
+    if (CSV_FORMULA_PREFIX_PATTERN.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One row per character. Lists (inclusions, archive files) are one value per line within the cell.
+ * Starts with a byte order mark, which spreadsheet apps need to read the file as UTF-8.
+ */
+function formatRecordsAsCsv(records) {
+    const rows = records.map(record => {
+        const row = {
+            ...record,
+            inclusionIds: record.inclusions.map(inclusion => inclusion.id).join('\n'),
+            inclusionNames: record.inclusions.map(inclusion => inclusion.name).join('\n'),
+            archivePath: record.archive?.path,
+            archiveSize: record.archive?.size,
+            archiveFiles: record.archive?.files?.map(file => file.path).join('\n')
+        };
+        return CSV_COLUMNS.map(column => escapeCsvCell(row[column])).join(',');
+    });
+    return `\uFEFF${[CSV_COLUMNS.join(','), ...rows].join('\r\n')}\r\n`;
+}
+
+function escapeMarkdownTableCell(value) {
+    return String(value ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+}
+
+function formatMarkdownCode(value) {
+    const text = String(value);
+    return text.includes('`') ? `\`\` ${text} \`\`` : `\`${text}\``;
+}
+
+function formatRecordsAsMarkdown(records) {
+    const header = ['Name', 'Game', 'Rarity', 'Element', 'Path', 'Weapon', 'Faction', 'Uploader', 'Updated', 'Inclusions', 'Archive files'];
+    const rows = records.map(record => [
+        `[${escapeMarkdownTableCell(record.name).replace(/[[\]]/g, '\\$&')}](${record.url})`,
+        escapeMarkdownTableCell(record.game),
+        record.rarity ? `${record.rarity}★` : '',
+        escapeMarkdownTableCell(record.element),
+        escapeMarkdownTableCell(record.path),
+        escapeMarkdownTableCell(record.weapon),
+        escapeMarkdownTableCell(record.faction),
+        escapeMarkdownTableCell(record.uploader),
+        record.updatedDate || record.uploadDate || '',
+        record.inclusions.map(inclusion => `${formatMarkdownCode(inclusion.id)} ${escapeMarkdownTableCell(inclusion.name)}`).join('<br>'),
+        record.archive?.files
+            ? record.archive.files.map(file => formatMarkdownCode(escapeMarkdownTableCell(file.path))).join('<br>')
+            : (record.modelAvailable ? '' : 'Model unavailable')
+    ]);
+    return `${[header, header.map(() => '---'), ...rows].map(cells => `| ${cells.join(' | ')} |`).join('\n')}\n`;
+}
+
+const EXPORT_FORMATTERS = {
+    json: formatRecordsAsJson,
+    csv: formatRecordsAsCsv,
+    markdown: formatRecordsAsMarkdown
+};
+
+/**
+ * Downloads the characters currently shown in the grid in `formatKey` (a key of EXPORT_FORMATS).
+ */
+async function exportFilteredCharacters(formatKey) {
+    const format = EXPORT_FORMATS[formatKey];
+    if (!format) return;
+    if (filteredCharacters.length === 0) {
+        showNotification(t('There are no characters to export. Change the filters first.'), 'info');
+        return;
+    }
+
+    const archives = await loadArchiveCatalogue();
+    const records = filteredCharacters.map(character => toExportRecord(character, archives));
+    triggerBlobDownload(new Blob([EXPORT_FORMATTERS[formatKey](records)], { type: format.type }), `${EXPORT_FILE_NAME}.${format.extension}`);
+    if (archives) {
+        showNotification(tn('Exported {count} character as {format}.', 'Exported {count} characters as {format}.', records.length, { format: format.label }), 'success');
+    } else {
+        showNotification(tn('Exported {count} character as {format}, without the archive file lists, which could not be loaded.', 'Exported {count} characters as {format}, without the archive file lists, which could not be loaded.', records.length, { format: format.label }), 'info');
+    }
+}
+
+// --- CHARACTER MARKDOWN ---
+/**
+ * One character for pasting into Discord or an issue: Discord shows no tables, so this uses lists.
+ * The archive is summed up rather than listed, which would exceed a message's length.
+ */
+function generateCharacterMarkdown(character, archive) {
+    const game = getGame(character.game);
+    const details = [
+        game?.name || character.game,
+        ...GAME_FIELDS.filter(field => character[field]).map(field => `${t(getGameFieldLabel(character.game, field))}: ${character[field]}`),
+        character.rarity ? `${character.rarity}★` : ''
+    ].filter(Boolean);
+    const uploader = getUploaderName(character);
+    const { uploadDate, updatedDate } = character.meta || {};
+
+    const lines = [
+        `## [${character.name}](${getCharacterPageUrl(character)})`,
+        details.join(' · '),
+        updatedDate && updatedDate !== uploadDate
+            ? t('Uploaded by {uploader} on {date}, updated on {updatedDate}', { uploader, date: uploadDate, updatedDate })
+            : t('Uploaded by {uploader} on {date}', { uploader, date: uploadDate })
+    ];
+    if (character.description?.trim()) lines.push('', character.description.trim());
+
+    if (character.inclusions?.length) {
+        lines.push('', `### ${t('Inclusions')}`);
+        character.inclusions.forEach(inclusion => {
+            const description = inclusion.description?.trim();
+            lines.push(`- ${formatMarkdownCode(inclusion.id)} ${inclusion.name}${description ? ` – ${description}` : ''}`);
+        });
+    }
+
+    if (!isModelAvailable(character)) {
+        lines.push('', t('Model unavailable'));
+    } else if (archive) {
+        const summary = archive.files
+            ? tn('{count} file', '{count} files', archive.files.length)
+            : t('File list unavailable');
+        lines.push('', `${t('Model archive:')} ${formatMarkdownCode(archive.path)} (${formatBytes(archive.size)}, ${summary})`);
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+function generateCopyMarkdownButtonHTML(character) {
+    return `<button type="button" class="action-btn viewer-btn copy-markdown-btn" data-copy-markdown-id="${escapeHTML(character.id)}">${t('Copy as Markdown')}</button>`;
+}
+
+async function copyCharacterMarkdown(characterId, button) {
+    const indexEntry = characters.find(character => String(character.id) === String(characterId));
+    if (!indexEntry) return;
+
+    button.disabled = true;
+    const [character, archives] = await Promise.all([loadCharacterDetails(indexEntry), loadArchiveCatalogue()]);
+    const markdown = generateCharacterMarkdown(character, archives?.[character.id]);
+    try {
+        await navigator.clipboard.writeText(markdown);
+        showNotification(t('Copied {name} as Markdown.', { name: character.name }), 'success');
+    } catch (error) {
+        // Clipboard access can be blocked (e.g. outside HTTPS); hand over a file instead
+        const fileName = `${character.id}.md`;
+        triggerBlobDownload(new Blob([markdown], { type: EXPORT_FORMATS.markdown.type }), fileName);
+        showNotification(t('Copying was blocked, so the Markdown was downloaded as {file} instead.', { file: fileName }), 'info');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// --- EVENTS ---
+function initializeExport() {
+    document.addEventListener('click', handleExportClick);
+}
+
+function handleExportClick(e) {
+    if (exportMenu?.open && !exportMenu.contains(e.target)) exportMenu.open = false; // Click outside the menu
+
+    const formatButton = e.target.closest('[data-export-format]');
+    if (formatButton) {
+        if (exportMenu) exportMenu.open = false;
+        exportFilteredCharacters(formatButton.dataset.exportFormat);
+        return;
+    }
+    const copyButton = e.target.closest('[data-copy-markdown-id]');
+    if (copyButton && !copyButton.disabled) {
+        copyCharacterMarkdown(copyButton.dataset.copyMarkdownId, copyButton);
+    }
+}
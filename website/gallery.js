@@ -0,0 +1,323 @@
+// --- GALLERY & LIGHTBOX ---
+// Character screenshots come from `assets.gallery`. Characters without one get the plain images
+// (PNG/JPG/WebP/GIF) found in their model archive instead. Thumbnails open a keyboard-navigable
+// lightbox with zoom/pan, captions and a side-by-side comparison mode.
+
+const LIGHTBOX_MIN_ZOOM = 1;
+const LIGHTBOX_MAX_ZOOM = 8;
+const LIGHTBOX_ZOOM_STEP = 1.25;
+const GALLERY_ARCHIVE_IMAGE_EXTENSIONS = ['png', 'jpg', 'jpeg', 'webp', 'gif'];
+const GALLERY_ARCHIVE_IMAGE_LIMIT = 24;
+
+const lightboxElement = document.getElementById('lightbox');
+const lightboxPanes = lightboxElement?.querySelectorAll('.lightbox-pane') || [];
+const lightboxCounter = lightboxElement?.querySelector('.lightbox-counter');
+const lightboxCompareSelect = lightboxElement?.querySelector('.lightbox-compare-select');
+const lightboxCompareBtn = lightboxElement?.querySelector('[data-lightbox-action="compare"]');
+
+let activeGalleryImages = []; // Images of the character currently shown in the overlay
+let galleryObjectUrls = []; // Blob URLs for archive images, revoked when the overlay closes
+let lightboxState = null;
+
+// --- GALLERY SECTION ---
+function getCharacterGalleryImages(character) {
+    return (Array.isArray(character.assets?.gallery) ? character.assets.gallery : [])
+        .map(image => ({
+            src: sanitizeUrl(image?.src),
+            caption: image?.caption || '',
+            alt: image?.alt || image?.caption || t('{name} screenshot', { name: character.name })
+        }))
+        .filter(image => image.src);
+}
+
+function generateGalleryHTML(character) {
+    const images = getCharacterGalleryImages(character);
+    const galleryId = `overlay-gallery-${escapeHTML(character.id)}`;
+
+    // Rendered even without images so archive screenshots can be added once the ZIP is loaded
+    return `
+        <div class="gallery-section expanded-section"${images.length === 0 ? ' hidden' : ''}>
+            <h3>${t('Model Screenshots')}</h3>
+            <button type="button" class="section-toggle" aria-expanded="false" aria-controls="${galleryId}">
+                <span class="gallery-toggle-label">${formatGalleryToggleLabel(images.length)}</span> <span class="arrow" aria-hidden="true">▼</span>
+            </button>
+            <div class="gallery-grid" id="${galleryId}" hidden>
+                ${renderGalleryItemsHTML(images)}
+            </div>
+        </div>`;
+}
+
+function formatGalleryToggleLabel(count) {
+    return tn('Show {count} screenshot', 'Show {count} screenshots', count);
+}
+
+function renderGalleryItemsHTML(images) {
+    return images.map((image, index) => `
+        <button type="button" class="gallery-item" data-gallery-index="${index}" aria-label="${escapeHTML(t('Open {name} in the image viewer', { name: image.alt }))}">
+            <img src="${escapeHTML(image.src)}" alt="${escapeHTML(image.alt)}" loading="lazy">
+            ${image.caption ? `<span class="gallery-caption">${escapeHTML(image.caption)}</span>` : ''}
+        </button>
+    `).join('');
+}
+
+/**
+ * Wires the thumbnails in `scope` to the lightbox. Called every time the overlay is rendered.
+ */
+function initializeGallery(scope, character) {
+    disposeGallery();
+    activeGalleryImages = getCharacterGalleryImages(character);
+
+    scope.querySelector('.gallery-grid')?.addEventListener('click', (e) => {
+        const item = e.target.closest('.gallery-item');
+        if (item) openLightbox(activeGalleryImages, Number(item.dataset.galleryIndex), item);
+    });
+}
+
+/**
+ * Adds the plain images found in the model archive when the character has no curated gallery.
+ */
+async function addArchiveImagesToGallery(scope, character, zip) {
+    const section = scope.querySelector('.gallery-section');
+    if (!section || !zip || getCharacterGalleryImages(character).length > 0) return;
+
+    const entries = getZipFileEntries(zip)
+        .filter(entry => GALLERY_ARCHIVE_IMAGE_EXTENSIONS.includes(getFileExtension(entry.name)))
+        .slice(0, GALLERY_ARCHIVE_IMAGE_LIMIT);
+    if (entries.length === 0) return;
+
+    const images = [];
+    for (const entry of entries) {
+        const url = URL.createObjectURL(await entry.async('blob'));
+        galleryObjectUrls.push(url);
+        const fileName = entry.name.split('/').pop();
+        images.push({ src: url, caption: fileName, alt: t('{name}: {file} (from the model archive)', { name: character.name, file: fileName }) });
+    }
+    if (!section.isConnected) return; // Overlay was closed meanwhile; disposeGallery already ran
+
+    activeGalleryImages = images;
+    section.querySelector('.gallery-grid').innerHTML = renderGalleryItemsHTML(images);
+    section.querySelector('.gallery-toggle-label').textContent = formatGalleryToggleLabel(images.length);
+    section.hidden = false;
+    setupFocusTrap();
+}
+
+function disposeGallery() {
+    closeLightbox({ restoreFocus: false });
+    galleryObjectUrls.forEach(url => URL.revokeObjectURL(url));
+    galleryObjectUrls = [];
+    activeGalleryImages = [];
+}
+
+// --- LIGHTBOX ---
+function initializeLightbox() {
+    if (!lightboxElement) return;
+
+    lightboxElement.addEventListener('click', (e) => {
+        const actionElement = e.target.closest('[data-lightbox-action]');
+        if (actionElement) {
+            handleLightboxAction(actionElement.dataset.lightboxAction);
+        } else if (e.target === lightboxElement) {
+            closeLightbox();
+        }
+    });
+    lightboxElement.addEventListener('keydown', handleLightboxKeydown);
+    lightboxElement.addEventListener('wheel', handleLightboxWheel, { passive: false });
+    lightboxElement.addEventListener('dblclick', (e) => {
+        if (!e.target.closest('.lightbox-viewport')) return;
+        setLightboxZoom(lightboxState.zoom > LIGHTBOX_MIN_ZOOM ? LIGHTBOX_MIN_ZOOM : LIGHTBOX_MAX_ZOOM / 2);
+    });
+    lightboxCompareSelect.addEventListener('change', () => {
+        lightboxState.compareIndex = Number(lightboxCompareSelect.value);
+        renderLightbox();
+    });
+
+    lightboxPanes.forEach(pane => {
+        const viewport = pane.querySelector('.lightbox-viewport');
+        viewport.addEventListener('pointerdown', startLightboxPan);
+        viewport.addEventListener('pointermove', moveLightboxPan);
+        viewport.addEventListener('pointerup', endLightboxPan);
+        viewport.addEventListener('pointercancel', endLightboxPan);
+    });
+}
+
+function openLightbox(images, index, triggerElement) {
+    if (!lightboxElement || images.length === 0) return;
+
+    lightboxState = {
+        images,
+        index: Math.min(Math.max(index, 0), images.length - 1),
+        compareIndex: null,
+        isComparing: false,
+        zoom: LIGHTBOX_MIN_ZOOM,
+        panX: 0,
+        panY: 0,
+        pan: null,
+        returnFocusElement: triggerElement || document.activeElement
+    };
+
+    lightboxCompareSelect.innerHTML = images.map((image, i) => `
+        <option value="${i}">${escapeHTML(image.caption || image.alt || t('Image {number}', { number: i + 1 }))}</option>
+    `).join('');
+
+    renderLightbox();
+    lightboxElement.hidden = false;
+    requestAnimationFrame(() => lightboxElement.classList.add('active'));
+    lightboxElement.querySelector('[data-lightbox-action="close"]').focus();
+}
+
+function closeLightbox({ restoreFocus = true } = {}) {
+    if (!lightboxElement || lightboxElement.hidden || !lightboxState) return;
+    const returnFocusElement = lightboxState.returnFocusElement;
+
+    lightboxElement.classList.remove('active');
+    lightboxElement.hidden = true;
+    lightboxPanes.forEach(pane => pane.querySelector('.lightbox-image').removeAttribute('src'));
+    lightboxState = null;
+
+    if (restoreFocus && returnFocusElement?.isConnected) {
+        returnFocusElement.focus();
+    }
+}
+
+function isLightboxOpen() {
+    return Boolean(lightboxElement && !lightboxElement.hidden);
+}
+
+function renderLightbox() {
+    const { images, index, isComparing } = lightboxState;
+    if (isComparing && (lightboxState.compareIndex === null || lightboxState.compareIndex === index)) {
+        lightboxState.compareIndex = (index + 1) % images.length;
+    }
+
+    const shownIndices = isComparing ? [index, lightboxState.compareIndex] : [index];
+    lightboxPanes.forEach((pane, paneIndex) => {
+        const imageIndex = shownIndices[paneIndex];
+        pane.hidden = imageIndex === undefined;
+        if (pane.hidden) return;
+
+        const image = images[imageIndex];
+        const imgElement = pane.querySelector('.lightbox-image');
+        imgElement.src = image.src;
+        imgElement.alt = image.alt;
+        pane.querySelector('figcaption').textContent = image.caption || image.alt;
+    });
+
+    lightboxElement.classList.toggle('comparing', isComparing);
+    lightboxCompareBtn.setAttribute('aria-pressed', String(isComparing));
+    lightboxCompareBtn.disabled = images.length < 2;
+    lightboxCompareSelect.hidden = !isComparing;
+    if (isComparing) lightboxCompareSelect.value = String(lightboxState.compareIndex);
+    lightboxElement.querySelectorAll('.lightbox-nav').forEach(button => { button.disabled = images.length < 2; });
+
+    lightboxCounter.textContent = `${index + 1} / ${images.length}${isComparing ? ` · ${t('comparing with {number}', { number: lightboxState.compareIndex + 1 })}` : ''}`;
+    applyLightboxTransform();
+}
+
+function showLightboxImage(index) {
+    const count = lightboxState.images.length;
+    lightboxState.index = (index + count) % count;
+    lightboxState.zoom = LIGHTBOX_MIN_ZOOM;
+    lightboxState.panX = 0;
+    lightboxState.panY = 0;
+    renderLightbox();
+}
+
+function handleLightboxAction(action) {
+    if (!lightboxState) return;
+    switch (action) {
+        case 'prev': showLightboxImage(lightboxState.index - 1); break;
+        case 'next': showLightboxImage(lightboxState.index + 1); break;
+        case 'zoom-in': setLightboxZoom(lightboxState.zoom * LIGHTBOX_ZOOM_STEP); break;
+        case 'zoom-out': setLightboxZoom(lightboxState.zoom / LIGHTBOX_ZOOM_STEP); break;
+        case 'zoom-reset': setLightboxZoom(LIGHTBOX_MIN_ZOOM); break;
+        case 'compare':
+            if (lightboxState.images.length < 2) return;
+            lightboxState.isComparing = !lightboxState.isComparing;
+            renderLightbox();
+            break;
+        case 'close': closeLightbox(); break;
+    }
+}
+
+function handleLightboxKeydown(e) {
+    if (!lightboxState) return;
+    // The lightbox sits on top of the character overlay, so its keys must not reach the global handlers
+    e.stopPropagation();
+
+    const isFormControl = e.target.matches('select');
+    const keyActions = {
+        [KEY_ESCAPE]: 'close',
+        ArrowLeft: 'prev',
+        ArrowRight: 'next',
+        '+': 'zoom-in',
+        '=': 'zoom-in',
+        '-': 'zoom-out',
+        '0': 'zoom-reset',
+        c: 'compare',
+        C: 'compare'
+    };
+
+    if (e.key === KEY_TAB) {
+        trapDialogFocus(lightboxElement, e);
+    } else if (e.key === 'Home' && !isFormControl) {
+        e.preventDefault();
+        showLightboxImage(0);
+    } else if (e.key === 'End' && !isFormControl) {
+        e.preventDefault();
+        showLightboxImage(lightboxState.images.length - 1);
+    } else if (keyActions[e.key] && (!isFormControl || e.key === KEY_ESCAPE)) {
+        e.preventDefault();
+        handleLightboxAction(keyActions[e.key]);
+    }
+}
+
+// --- ZOOM & PAN ---
+function setLightboxZoom(zoom) {
+    lightboxState.zoom = Math.min(Math.max(zoom, LIGHTBOX_MIN_ZOOM), LIGHTBOX_MAX_ZOOM);
+    if (lightboxState.zoom === LIGHTBOX_MIN_ZOOM) {
+        lightboxState.panX = 0;
+        lightboxState.panY = 0;
+    }
+    applyLightboxTransform();
+}
+
+function applyLightboxTransform() {
+    const { zoom, panX, panY } = lightboxState;
+    // Both panes share one transform so compared images stay aligned while zooming/panning
+    lightboxPanes.forEach(pane => {
+        const viewport = pane.querySelector('.lightbox-viewport');
+        viewport.classList.toggle('zoomed', zoom > LIGHTBOX_MIN_ZOOM);
+        pane.querySelector('.lightbox-image').style.transform = `translate(${panX}px, ${panY}px) scale(${zoom})`;
+    });
+    lightboxElement.querySelector('[data-lightbox-action="zoom-reset"]').textContent = `${Math.round(zoom * 100)}%`;
+}
+
+function handleLightboxWheel(e) {
+    if (!lightboxState || !e.target.closest('.lightbox-viewport')) return;
+    e.preventDefault();
+    setLightboxZoom(lightboxState.zoom * (e.deltaY < 0 ? LIGHTBOX_ZOOM_STEP : 1 / LIGHTBOX_ZOOM_STEP));
+}
+
+function startLightboxPan(e) {
+    if (!lightboxState || lightboxState.zoom <= LIGHTBOX_MIN_ZOOM) return;
+    lightboxState.pan = { x: e.clientX - lightboxState.panX, y: e.clientY - lightboxState.panY };
+    e.currentTarget.setPointerCapture(e.pointerId);
+}
+
+function moveLightboxPan(e) {
+    if (!lightboxState?.pan) return;
+    const viewport = e.currentTarget;
+    const maxX = (viewport.clientWidth * (lightboxState.zoom - 1)) / 2;
+    const maxY = (viewport.clientHeight * (lightboxState.zoom - 1)) / 2;
+    lightboxState.panX = Math.min(Math.max(e.clientX - lightboxState.pan.x, -maxX), maxX);
+    lightboxState.panY = Math.min(Math.max(e.clientY - lightboxState.pan.y, -maxY), maxY);
+    applyLightboxTransform();
+}
+
+function endLightboxPan(e) {
+    if (!lightboxState?.pan) return;
+    lightboxState.pan = null;
+    if (e.currentTarget.hasPointerCapture?.(e.pointerId)) {
+        e.currentTarget.releasePointerCapture(e.pointerId);
+    }
+}
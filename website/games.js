@@ -0,0 +1,99 @@
+// --- GAMES ---
+// Every character belongs to one game. Each game says which classification fields it uses and what
+// they are called there (Genshin weapons vs. Star Rail paths vs. ZZZ specialties...), so data.json
+// keeps the same four generic keys: element, path, weapon and faction.
+// `values` is the known vocabulary in display order; other values still work but are reported by
+// the data check.
+
+const GAME_FIELDS = ['element', 'path', 'weapon', 'faction'];
+
+const GAMES = {
+    genshin: {
+        name: 'Genshin Impact',
+        shortName: 'Genshin',
+        fields: {
+            element: { label: 'Element', values: ['Pyro', 'Hydro', 'Anemo', 'Electro', 'Dendro', 'Cryo', 'Geo'] },
+            weapon: { label: 'Weapon', values: ['Sword', 'Claymore', 'Polearm', 'Bow', 'Catalyst'] },
+            faction: { label: 'Region', values: ['Mondstadt', 'Liyue', 'Inazuma', 'Sumeru', 'Fontaine', 'Natlan', 'Nod-Krai', 'Snezhnaya', 'Khaenri\'ah'] }
+        }
+    },
+    'star-rail': {
+        name: 'Honkai: Star Rail',
+        shortName: 'Star Rail',
+        fields: {
+            element: { label: 'Type', values: ['Physical', 'Fire', 'Ice', 'Lightning', 'Wind', 'Quantum', 'Imaginary'] },
+            path: { label: 'Path', values: ['Destruction', 'The Hunt', 'Erudition', 'Harmony', 'Nihility', 'Preservation', 'Abundance', 'Remembrance'] },
+            faction: { label: 'Faction', values: ['Astral Express', 'Herta Space Station', 'Jarilo-VI', 'The Xianzhou Luofu', 'Penacony', 'Amphoreus', 'Stellaron Hunters', 'Interastral Peace Corporation'] }
+        }
+    },
+    zzz: {
+        name: 'Zenless Zone Zero',
+        shortName: 'ZZZ',
+        fields: {
+            element: { label: 'Attribute', values: ['Physical', 'Fire', 'Ice', 'Electric', 'Ether'] },
+            path: { label: 'Specialty', values: ['Attack', 'Stun', 'Anomaly', 'Support', 'Defense', 'Rupture'] },
+            faction: { label: 'Faction', values: ['Cunning Hares', 'Victoria Housekeeping', 'Belobog Heavy Industries', 'Sons of Calydon', 'Obol Squad', 'Section 6', 'Criminal Investigation Special Response Team', 'Stars of Lyra', 'Mockingbird', 'Yunkui Summit', 'Spook Shack'] }
+        }
+    },
+    'honkai-3rd': {
+        name: 'Honkai Impact 3rd',
+        shortName: 'Honkai 3rd',
+        fields: {
+            element: { label: 'Element', values: ['Physical', 'Fire', 'Ice', 'Lightning'] },
+            path: { label: 'Type', values: ['MECH', 'BIO', 'PSY', 'QUA', 'IMG', 'SD'] },
+            weapon: { label: 'Weapon', values: ['Pistols', 'Katana', 'Cannon', 'Greatsword', 'Cross', 'Gauntlet', 'Scythe', 'Lance', 'Bow', 'Chakram', 'Javelin'] },
+            faction: { label: 'Faction', values: ['Schicksal', 'Anti-Entropy', 'World Serpent', 'Fire-Moths', 'Flame-Chasers', 'Hyperion'] }
+        }
+    }
+};
+
+const GAME_FIELD_DEFAULT_LABELS = { element: 'Element', path: 'Path', weapon: 'Weapon', faction: 'Faction' };
+
+function getGame(gameId) {
+    return GAMES[gameId] || null;
+}
+
+/**
+ * Label of a classification field for a game; without a game (or for a field the game doesn't
+ * use) the generic name is returned.
+ */
+function getGameFieldLabel(gameId, fieldName) {
+    return getGame(gameId)?.fields[fieldName]?.label || GAME_FIELD_DEFAULT_LABELS[fieldName];
+}
+
+/**
+ * Orders field values by the game's vocabulary, unknown values last in alphabetical order.
+ */
+function compareGameFieldValues(gameId, fieldName, a, b) {
+    const vocabulary = gameId
+        ? getGame(gameId)?.fields[fieldName]?.values || []
+        : Object.values(GAMES).flatMap(game => game.fields[fieldName]?.values || []);
+    const indexA = vocabulary.indexOf(a);
+    const indexB = vocabulary.indexOf(b);
+    if (indexA !== -1 && indexB !== -1) return indexA - indexB;
+    if (indexA !== -1 || indexB !== -1) return indexA === -1 ? 1 : -1;
+    return String(a).localeCompare(String(b));
+}
+
+/**
+ * Data check rules for game-specific vocabularies (used by lintCharacter).
+ */
+function lintCharacterGameFields(character) {
+    const game = getGame(character?.game);
+    if (!game) return []; // Unknown/missing games are reported by the schema
+
+    const issues = [];
+    GAME_FIELDS.forEach(fieldName => {
+        const value = character[fieldName];
+        if (value === undefined) return;
+        const field = game.fields[fieldName];
+        if (!field) {
+            issues.push({ severity: 'warning', path: fieldName, message: t('{game} characters don\'t use "{field}"', { game: game.name, field: fieldName }) });
+        } else if (!field.values.includes(value)) {
+            // {label} is the translated label as shown, for languages that don't lowercase it mid-sentence
+            const params = { value, game: game.shortName, field: field.label.toLowerCase(), label: t(field.label), values: field.values.join(', ') };
+            issues.push({ severity: 'warning', path: fieldName, message: t('"{value}" is not a known {game} {field} ({values})', params) });
+        }
+    });
+    return issues;
+}
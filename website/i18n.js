@@ -0,0 +1,195 @@
+// --- INTERNATIONALIZATION ---
+// UI strings are written in English in the code and looked up in the catalog of the chosen
+// language (website/locales/<code>.json), which maps each English string to its translation.
+// Anything missing from a catalog, or with English chosen, simply stays English. Placeholders
+// look like {name}; strings that depend on a count have "one"/"other"... forms (see tn).
+// Static markup is translated through data-i18n attributes (see translateStaticContent).
+// Characters can carry translations of their name, description and modelInfo (see
+// localizeCharacter). Switching the language reloads the page with the new catalog. The choice is
+// stored, or carried in the address (?lang=de) where storage is blocked.
+
+const I18N_LOCALES = {
+    en: { name: 'English' },
+    de: { name: 'Deutsch' }
+};
+const I18N_DEFAULT_LOCALE = 'en';
+const I18N_STORAGE_KEY = 'hoyarchive-locale';
+const I18N_URL_PARAM = 'lang';
+const I18N_LOCALIZED_FIELDS = ['name', 'description', 'modelInfo'];
+
+let currentLocale = I18N_DEFAULT_LOCALE;
+let i18nCatalog = {};
+let i18nPluralRules = new Intl.PluralRules(I18N_DEFAULT_LOCALE);
+
+/**
+ * The language in the address, else the stored choice, else the first supported browser
+ * language, else English.
+ */
+function detectLocale() {
+    const urlLocale = getUrlLocale();
+    if (urlLocale) return urlLocale;
+
+    let storedLocale = null;
+    try {
+        storedLocale = localStorage.getItem(I18N_STORAGE_KEY);
+    } catch (error) {
+        // Storage can be blocked; fall through to the browser languages
+    }
+    if (I18N_LOCALES[storedLocale]) return storedLocale;
+
+    const browserLocale = (navigator.languages || [navigator.language])
+        .map(language => String(language || '').toLowerCase().split('-')[0])
+        .find(language => I18N_LOCALES[language]);
+    return browserLocale || I18N_DEFAULT_LOCALE;
+}
+
+/**
+ * Loads the catalog of the detected language and translates the static markup.
+ * A catalog that can't be loaded leaves the site in English.
+ */
+async function initializeI18n() {
+    const locale = detectLocale();
+    if (locale !== I18N_DEFAULT_LOCALE) {
+        try {
+            const response = await fetch(`website/locales/${locale}.json`);
+            if (!response.ok) {
+                throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
+            }
+            const { messages } = await response.json();
+            i18nCatalog = messages || {};
+            currentLocale = locale;
+        } catch (error) {
+            console.error(`Could not load the ${locale} translations, showing English:`, error);
+        }
+    }
+    i18nPluralRules = new Intl.PluralRules(currentLocale);
+    document.documentElement.lang = currentLocale;
+    translateStaticContent(document);
+    initializeLanguagePicker();
+}
+
+/**
+ * The language set by ?lang= in the address, or null. The app keeps the parameter when it
+ * updates the address (see buildUrlFromState).
+ */
+function getUrlLocale() {
+    const locale = new URLSearchParams(window.location.search).get(I18N_URL_PARAM);
+    return I18N_LOCALES[locale] ? locale : null;
+}
+
+function setLocale(locale) {
+    if (!I18N_LOCALES[locale] || locale === currentLocale) return;
+    const url = new URL(window.location.href);
+    try {
+        localStorage.setItem(I18N_STORAGE_KEY, locale);
+        url.searchParams.delete(I18N_URL_PARAM);
+    } catch (error) {
+        url.searchParams.set(I18N_URL_PARAM, locale); // Storage is blocked, so the address carries the choice
+    }
+    // Every view is rendered again in the new language
+    if (url.href === window.location.href) {
+        window.location.reload();
+    } else {
+        window.location.replace(url.href);
+    }
+}
+
+function fillPlaceholders(template, params) {
+    return template.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] !== undefined ? String(params[name]) : placeholder));
+}
+
+/**
+ * Translates an English UI string, filling in {placeholders} from `params`.
+ */
+function t(text, params = {}) {
+    const translation = i18nCatalog[text];
+    return fillPlaceholders(typeof translation === 'string' && translation ? translation : text, params);
+}
+
+/**
+ * Translates a string that depends on `count`. `one` and `other` are the English forms; the
+ * catalog entry (keyed by `other`) holds the forms of the language's plural rules.
+ * `{count}` is filled in with the formatted number.
+ */
+function tn(one, other, count, params = {}) {
+    const forms = i18nCatalog[other];
+    const category = i18nPluralRules.select(count);
+    let template;
+    if (forms && typeof forms === 'object') {
+        template = forms[category] || forms.other;
+    }
+    if (!template) {
+        template = new Intl.PluralRules(I18N_DEFAULT_LOCALE).select(count) === 'one' ? one : other;
+    }
+    return fillPlaceholders(template, { count: formatNumber(count), ...params });
+}
+
+function formatNumber(value) {
+    return new Intl.NumberFormat(currentLocale).format(value);
+}
+
+/**
+ * An ISO date (YYYY-MM-DD) in the reader's language, e.g. "Jun 18, 2025" or "18.06.2025".
+ * Anything that isn't such a date is returned unchanged.
+ */
+function formatDate(isoDate, options = { dateStyle: 'medium' }) {
+    if (typeof isoDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(isoDate)) return isoDate ?? '';
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    if (Number.isNaN(date.getTime())) return isoDate;
+    return new Intl.DateTimeFormat(currentLocale, { ...options, timeZone: 'UTC' }).format(date);
+}
+
+/**
+ * `<time>` element for an ISO date, formatted for the reader.
+ */
+function generateDateHTML(isoDate) {
+    return `<time datetime="${escapeHTML(isoDate)}">${escapeHTML(formatDate(isoDate))}</time>`;
+}
+
+/**
+ * Translates static markup below `root`:
+ * - data-i18n: the element's text (which must be plain text)
+ * - data-i18n-html: the element's HTML, for text with inline markup such as <code>
+ * - data-i18n-attrs: space-separated attribute names, e.g. "placeholder aria-label"
+ */
+function translateStaticContent(root) {
+    if (currentLocale === I18N_DEFAULT_LOCALE) return;
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.textContent.trim());
+    });
+    root.querySelectorAll('[data-i18n-html]').forEach(element => {
+        element.innerHTML = t(element.innerHTML.trim().replace(/\s+/g, ' '));
+    });
+    root.querySelectorAll('[data-i18n-attrs]').forEach(element => {
+        element.dataset.i18nAttrs.split(/\s+/).filter(Boolean).forEach(attribute => {
+            if (element.hasAttribute(attribute)) element.setAttribute(attribute, t(element.getAttribute(attribute)));
+        });
+    });
+}
+
+// --- LOCALIZED CHARACTER DATA ---
+/**
+ * The character with its name, description and modelInfo replaced by the translations for the
+ * current language, where it has them. English values are kept for everything else.
+ */
+function localizeCharacter(character) {
+    const translation = character?.translations?.[currentLocale];
+    if (!translation) return character;
+
+    const localized = { ...character };
+    I18N_LOCALIZED_FIELDS.forEach(field => {
+        if (typeof translation[field] === 'string' && translation[field].trim()) localized[field] = translation[field];
+    });
+    return localized;
+}
+
+// --- LANGUAGE PICKER ---
+function initializeLanguagePicker() {
+    const picker = document.getElementById('languageSelect');
+    if (!picker) return;
+
+    picker.innerHTML = Object.entries(I18N_LOCALES)
+        .map(([locale, { name }]) => `<option value="${locale}" lang="${locale}"${locale === currentLocale ? ' selected' : ''}>${escapeHTML(name)}</option>`)
+        .join('');
+    picker.addEventListener('change', () => setLocale(picker.value));
+}
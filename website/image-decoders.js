@@ -0,0 +1,327 @@
+// --- IMAGE DECODERS ---
+// Browsers can't display DDS or TGA files, which is what most model dumps ship their textures as.
+// These decoders turn them into RGBA pixel data (top row first) that can be drawn to a canvas
+// or uploaded as a texture.
+
+const DDS_MAGIC = 0x20534444; // "DDS "
+const DDS_HEADER_SIZE = 128;
+const DDS_DX10_HEADER_SIZE = 20;
+const DDPF_ALPHAPIXELS = 0x1;
+const DDPF_FOURCC = 0x4;
+const DDPF_RGB = 0x40;
+const DDPF_LUMINANCE = 0x20000;
+
+const DXGI_FORMAT_NAMES = {
+    28: 'R8G8B8A8_UNORM', 29: 'R8G8B8A8_UNORM_SRGB',
+    71: 'BC1_UNORM', 72: 'BC1_UNORM_SRGB',
+    74: 'BC2_UNORM', 75: 'BC2_UNORM_SRGB',
+    77: 'BC3_UNORM', 78: 'BC3_UNORM_SRGB',
+    80: 'BC4_UNORM', 83: 'BC5_UNORM',
+    87: 'B8G8R8A8_UNORM', 91: 'B8G8R8A8_UNORM_SRGB',
+    95: 'BC6H_UF16', 96: 'BC6H_SF16',
+    98: 'BC7_UNORM', 99: 'BC7_UNORM_SRGB'
+};
+
+/**
+ * Decodes the top mip level of a DDS file.
+ * Supports BC1-BC5 and uncompressed RGB(A)/luminance data. Throws for formats that can't be
+ * decoded here (e.g. BC6H/BC7) so callers can show a friendly message instead of a preview.
+ */
+function decodeDDS(arrayBuffer) {
+    const view = new DataView(arrayBuffer);
+    if (arrayBuffer.byteLength < DDS_HEADER_SIZE || view.getUint32(0, true) !== DDS_MAGIC) {
+        throw new Error('Not a valid DDS file.');
+    }
+
+    const height = view.getUint32(12, true);
+    const width = view.getUint32(16, true);
+    const pixelFlags = view.getUint32(80, true);
+    const fourCC = String.fromCharCode(...new Uint8Array(arrayBuffer, 84, 4));
+    let dataOffset = DDS_HEADER_SIZE;
+    let format = null;
+
+    if (pixelFlags & DDPF_FOURCC) {
+        if (fourCC === 'DX10') {
+            const dxgiFormat = view.getUint32(DDS_HEADER_SIZE, true);
+            dataOffset += DDS_DX10_HEADER_SIZE;
+            format = DXGI_FORMAT_NAMES[dxgiFormat] || `DXGI format ${dxgiFormat}`;
+        } else {
+            format = { DXT1: 'BC1_UNORM', DXT2: 'BC2_UNORM', DXT3: 'BC2_UNORM', DXT4: 'BC3_UNORM', DXT5: 'BC3_UNORM', ATI1: 'BC4_UNORM', BC4U: 'BC4_UNORM', ATI2: 'BC5_UNORM', BC5U: 'BC5_UNORM' }[fourCC] || fourCC;
+        }
+    }
+
+    const src = new Uint8Array(arrayBuffer, dataOffset);
+    const blockDecoders = {
+        BC1: decodeBC1Block,
+        BC2: decodeBC2Block,
+        BC3: decodeBC3Block,
+        BC4: decodeBC4Block,
+        BC5: decodeBC5Block
+    };
+
+    if (format) {
+        const family = format.slice(0, 3);
+        if (blockDecoders[family]) {
+            const blockSize = family === 'BC1' || family === 'BC4' ? 8 : 16;
+            return decodeBlockCompressed(src, width, height, blockSize, blockDecoders[family]);
+        }
+        if (format.startsWith('R8G8B8A8') || format.startsWith('B8G8R8A8')) {
+            const isBGRA = format.startsWith('B');
+            return decodeMaskedPixels(src, width, height, 32,
+                isBGRA ? [0x00ff0000, 0x0000ff00, 0x000000ff, 0xff000000] : [0x000000ff, 0x0000ff00, 0x00ff0000, 0xff000000]);
+        }
+        throw new Error(`DDS format ${format} can't be previewed in the browser.`);
+    }
+
+    if (pixelFlags & (DDPF_RGB | DDPF_LUMINANCE)) {
+        const bitCount = view.getUint32(88, true);
+        const masks = [
+            view.getUint32(92, true),
+            view.getUint32(96, true),
+            view.getUint32(100, true),
+            pixelFlags & DDPF_ALPHAPIXELS ? view.getUint32(104, true) : 0
+        ];
+        if (pixelFlags & DDPF_LUMINANCE) {
+            masks[1] = masks[0];
+            masks[2] = masks[0];
+        }
+        return decodeMaskedPixels(src, width, height, bitCount, masks);
+    }
+
+    throw new Error('Unrecognized DDS pixel format.');
+}
+
+function decodeMaskedPixels(src, width, height, bitCount, masks) {
+    const bytesPerPixel = bitCount / 8;
+    if (![1, 2, 3, 4].includes(bytesPerPixel)) {
+        throw new Error(`Unsupported DDS bit depth: ${bitCount}.`);
+    }
+    const channels = masks.map(mask => {
+        if (!mask) return null;
+        let shift = 0;
+        while (((mask >>> shift) & 1) === 0) shift++;
+        const max = mask >>> shift;
+        return { mask, shift, max };
+    });
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    for (let i = 0; i < width * height; i++) {
+        let pixel = 0;
+        for (let b = 0; b < bytesPerPixel; b++) {
+            pixel |= src[i * bytesPerPixel + b] << (8 * b);
+        }
+        for (let c = 0; c < 4; c++) {
+            const channel = channels[c];
+            data[i * 4 + c] = channel ? Math.round((((pixel & channel.mask) >>> channel.shift) / channel.max) * 255) : 255;
+        }
+    }
+    return { width, height, data };
+}
+
+function decodeBlockCompressed(src, width, height, blockSize, decodeBlock) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    const blocksWide = Math.max(1, Math.ceil(width / 4));
+    const blocksHigh = Math.max(1, Math.ceil(height / 4));
+    const block = new Uint8ClampedArray(16 * 4);
+
+    if (src.length < blocksWide * blocksHigh * blockSize) {
+        throw new Error('DDS file is truncated.');
+    }
+
+    for (let by = 0; by < blocksHigh; by++) {
+        for (let bx = 0; bx < blocksWide; bx++) {
+            decodeBlock(src, (by * blocksWide + bx) * blockSize, block);
+            for (let py = 0; py < 4; py++) {
+                const y = by * 4 + py;
+                if (y >= height) break;
+                for (let px = 0; px < 4; px++) {
+                    const x = bx * 4 + px;
+                    if (x >= width) break;
+                    data.set(block.subarray((py * 4 + px) * 4, (py * 4 + px) * 4 + 4), (y * width + x) * 4);
+                }
+            }
+        }
+    }
+    return { width, height, data };
+}
+
+function unpackRGB565(value) {
+    const r = (value >> 11) & 0x1f;
+    const g = (value >> 5) & 0x3f;
+    const b = value & 0x1f;
+    return [(r << 3) | (r >> 2), (g << 2) | (g >> 4), (b << 3) | (b >> 2)];
+}
+
+function decodeBC1Block(src, offset, out, forceFourColors = false) {
+    const c0 = src[offset] | (src[offset + 1] << 8);
+    const c1 = src[offset + 2] | (src[offset + 3] << 8);
+    const rgb0 = unpackRGB565(c0);
+    const rgb1 = unpackRGB565(c1);
+    const palette = [[...rgb0, 255], [...rgb1, 255]];
+
+    if (c0 > c1 || forceFourColors) {
+        palette.push(rgb0.map((v, i) => Math.round((2 * v + rgb1[i]) / 3)).concat(255));
+        palette.push(rgb0.map((v, i) => Math.round((v + 2 * rgb1[i]) / 3)).concat(255));
+    } else {
+        palette.push(rgb0.map((v, i) => Math.round((v + rgb1[i]) / 2)).concat(255));
+        palette.push([0, 0, 0, 0]);
+    }
+
+    const indices = src[offset + 4] | (src[offset + 5] << 8) | (src[offset + 6] << 16) | (src[offset + 7] << 24);
+    for (let i = 0; i < 16; i++) {
+        out.set(palette[(indices >>> (2 * i)) & 0x3], i * 4);
+    }
+}
+
+function decodeBC2Block(src, offset, out) {
+    decodeBC1Block(src, offset + 8, out, true);
+    for (let i = 0; i < 16; i++) {
+        const alpha = (src[offset + (i >> 1)] >> ((i & 1) * 4)) & 0xf;
+        out[i * 4 + 3] = alpha * 17;
+    }
+}
+
+/** Decodes a single BC3/BC4 style 8-byte channel block into `out`, writing every `stride`th byte. */
+function decodeInterpolatedChannel(src, offset, out, channel, stride = 4) {
+    const a0 = src[offset];
+    const a1 = src[offset + 1];
+    const palette = [a0, a1];
+    if (a0 > a1) {
+        for (let i = 1; i < 7; i++) palette.push(Math.round(((7 - i) * a0 + i * a1) / 7));
+    } else {
+        for (let i = 1; i < 5; i++) palette.push(Math.round(((5 - i) * a0 + i * a1) / 5));
+        palette.push(0, 255);
+    }
+
+    // 48 bits of 3-bit indices; split in two 24-bit halves to stay within 32-bit integer math
+    for (let half = 0; half < 2; half++) {
+        const base = offset + 2 + half * 3;
+        const bits = src[base] | (src[base + 1] << 8) | (src[base + 2] << 16);
+        for (let i = 0; i < 8; i++) {
+            out[(half * 8 + i) * stride + channel] = palette[(bits >> (3 * i)) & 0x7];
+        }
+    }
+}
+
+function decodeBC3Block(src, offset, out) {
+    decodeBC1Block(src, offset + 8, out, true);
+    decodeInterpolatedChannel(src, offset, out, 3);
+}
+
+function decodeBC4Block(src, offset, out) {
+    decodeInterpolatedChannel(src, offset, out, 0);
+    for (let i = 0; i < 16; i++) {
+        out[i * 4 + 1] = out[i * 4];
+        out[i * 4 + 2] = out[i * 4];
+        out[i * 4 + 3] = 255;
+    }
+}
+
+function decodeBC5Block(src, offset, out) {
+    decodeInterpolatedChannel(src, offset, out, 0);
+    decodeInterpolatedChannel(src, offset + 8, out, 1);
+    for (let i = 0; i < 16; i++) {
+        out[i * 4 + 2] = 0;
+        out[i * 4 + 3] = 255;
+    }
+}
+
+/**
+ * Decodes a TGA file (uncompressed or RLE, true-color or grayscale).
+ */
+function decodeTGA(arrayBuffer) {
+    const src = new Uint8Array(arrayBuffer);
+    if (src.length < 18) throw new Error('Not a valid TGA file.');
+
+    const idLength = src[0];
+    const colorMapType = src[1];
+    const imageType = src[2];
+    const colorMapLength = src[5] | (src[6] << 8);
+    const colorMapEntrySize = src[7];
+    const width = src[12] | (src[13] << 8);
+    const height = src[14] | (src[15] << 8);
+    const bitsPerPixel = src[16];
+    const descriptor = src[17];
+    const isTopDown = (descriptor & 0x20) !== 0;
+    const isRLE = imageType === 10 || imageType === 11;
+    const isGrayscale = imageType === 3 || imageType === 11;
+
+    if (![2, 3, 10, 11].includes(imageType)) {
+        throw new Error(`TGA image type ${imageType} can't be previewed.`);
+    }
+    const bytesPerPixel = bitsPerPixel / 8;
+    if (isGrayscale ? bytesPerPixel !== 1 : ![3, 4].includes(bytesPerPixel)) {
+        throw new Error(`Unsupported TGA bit depth: ${bitsPerPixel}.`);
+    }
+
+    let offset = 18 + idLength + (colorMapType ? colorMapLength * Math.ceil(colorMapEntrySize / 8) : 0);
+    const pixelCount = width * height;
+    const pixels = new Uint8ClampedArray(pixelCount * 4);
+
+    const readPixel = (target) => {
+        if (isGrayscale) {
+            pixels[target] = pixels[target + 1] = pixels[target + 2] = src[offset];
+            pixels[target + 3] = 255;
+        } else {
+            pixels[target] = src[offset + 2];
+            pixels[target + 1] = src[offset + 1];
+            pixels[target + 2] = src[offset];
+            pixels[target + 3] = bytesPerPixel === 4 ? src[offset + 3] : 255;
+        }
+    };
+
+    let pixelIndex = 0;
+    while (pixelIndex < pixelCount) {
+        if (offset >= src.length) throw new Error('TGA file is truncated.');
+        if (isRLE) {
+            const header = src[offset++];
+            const runLength = (header & 0x7f) + 1;
+            if (header & 0x80) {
+                readPixel(pixelIndex * 4);
+                for (let i = 1; i < runLength && pixelIndex + i < pixelCount; i++) {
+                    pixels.copyWithin((pixelIndex + i) * 4, pixelIndex * 4, pixelIndex * 4 + 4);
+                }
+                offset += bytesPerPixel;
+                pixelIndex += runLength;
+            } else {
+                for (let i = 0; i < runLength && pixelIndex < pixelCount; i++) {
+                    readPixel(pixelIndex * 4);
+                    offset += bytesPerPixel;
+                    pixelIndex++;
+                }
+            }
+        } else {
+            readPixel(pixelIndex * 4);
+            offset += bytesPerPixel;
+            pixelIndex++;
+        }
+    }
+
+    if (isTopDown) {
+        return { width, height, data: pixels };
+    }
+    const data = new Uint8ClampedArray(pixels.length);
+    const rowSize = width * 4;
+    for (let y = 0; y < height; y++) {
+        data.set(pixels.subarray((height - 1 - y) * rowSize, (height - y) * rowSize), y * rowSize);
+    }
+    return { width, height, data };
+}
+
+/**
+ * Decodes DDS/TGA data based on the file extension. Returns null for other formats.
+ */
+function decodeImageByExtension(filename, arrayBuffer) {
+    const extension = filename.split('.').pop().toLowerCase();
+    if (extension === 'dds') return decodeDDS(arrayBuffer);
+    if (extension === 'tga') return decodeTGA(arrayBuffer);
+    return null;
+}
+
+function decodedImageToCanvas(decoded) {
+    const canvas = document.createElement('canvas');
+    canvas.width = decoded.width;
+    canvas.height = decoded.height;
+    canvas.getContext('2d').putImageData(new ImageData(decoded.data, decoded.width, decoded.height), 0, 0);
+    return canvas;
+}
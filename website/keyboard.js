@@ -0,0 +1,233 @@
+// --- KEYBOARD NAVIGATION ---
+// The grid is a single tab stop: the arrow keys move between cards (a roving tabindex) and
+// Home/End jump to the first or last card shown. Filter dropdowns work like listboxes, with the
+// arrow keys, Home/End and type-ahead on the option labels. The single-key shortcuts listed in
+// KEYBOARD_SHORTCUTS (shown with "?") act on the character open in the overlay, else on the
+// focused card. Result counts and shortcut actions are announced through a live region.
+
+const KEYBOARD_SHORTCUTS = [
+    { keys: ['/'], description: 'Focus the search' },
+    { keys: ['←', '→', '↑', '↓'], description: 'Move between characters, or between the options of a filter' },
+    { keys: ['Home', 'End'], description: 'Go to the first or last character or option' },
+    { keys: ['Enter'], description: 'Open the focused character' },
+    { keys: ['f'], description: 'Add the character to or remove it from your favorites' },
+    { keys: ['c'], description: 'Add the character to or remove it from the comparison' },
+    { keys: ['n', 'p'], description: 'Show the next or previous character in the details view' },
+    { keys: ['Esc'], description: 'Close the details view, a dialog or a filter' },
+    { keys: ['?'], description: 'Show these shortcuts' }
+];
+const GRID_NAVIGATION_KEYS = ['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown', 'Home', 'End'];
+const TYPE_AHEAD_RESET_DELAY = 500;
+
+const shortcutsDialog = document.getElementById('shortcutsDialog');
+const screenReaderStatus = document.getElementById('screenReaderStatus');
+
+let typeAheadText = '';
+let typeAheadTimer = null;
+let shortcutsReturnFocusElement = null;
+
+function initializeKeyboardNavigation() {
+    characterGrid.addEventListener('keydown', handleGridNavigationKeydown);
+    characterGrid.addEventListener('focusin', (e) => {
+        const card = e.target.closest('.character-card');
+        if (card) setGridTabStop(card);
+    });
+    document.getElementById('shortcutsBtn')?.addEventListener('click', (e) => openShortcutsDialog(e.currentTarget));
+    if (!shortcutsDialog) return;
+    shortcutsDialog.addEventListener('click', handleShortcutsDialogClick);
+    shortcutsDialog.addEventListener('keydown', handleShortcutsDialogKeydown);
+}
+
+/**
+ * Reads `message` out to screen readers. Cleared first so the same message is announced again.
+ */
+function announce(message) {
+    if (!screenReaderStatus) return;
+    screenReaderStatus.textContent = '';
+    requestAnimationFrame(() => {
+        screenReaderStatus.textContent = message;
+    });
+}
+
+function announceResultCount() {
+    announce(filteredCharacters.length === 0
+        ? t('No characters found')
+        : tn('{count} character found', '{count} characters found', filteredCharacters.length));
+}
+
+// --- GRID ---
+/**
+ * Makes `card` the grid's only tab stop, so Tab leaves the grid instead of visiting every card.
+ */
+function setGridTabStop(card) {
+    characterGrid.querySelectorAll('.character-card[tabindex="0"]').forEach(other => {
+        if (other !== card) other.tabIndex = -1;
+    });
+    card.tabIndex = 0;
+}
+
+/**
+ * Cards are rendered without a tab stop; the first one gets it unless another card already has it.
+ */
+function updateGridTabStop() {
+    if (characterGrid.querySelector('.character-card[tabindex="0"]')) return;
+    const firstCard = characterGrid.querySelector('.character-card');
+    if (firstCard) firstCard.tabIndex = 0;
+}
+
+/**
+ * Cards per row, from where the rendered cards wrap.
+ */
+function getGridColumnCount(cards) {
+    const firstRowTop = cards[0].offsetTop;
+    const columnCount = cards.findIndex(card => card.offsetTop !== firstRowTop);
+    return columnCount === -1 ? cards.length : columnCount;
+}
+
+function handleGridNavigationKeydown(e) {
+    const card = e.target.closest('.character-card');
+    if (!card || e.target !== card || !GRID_NAVIGATION_KEYS.includes(e.key) || e.altKey || e.ctrlKey || e.metaKey) return;
+    e.preventDefault();
+
+    let cards = Array.from(characterGrid.querySelectorAll('.character-card'));
+    const index = cards.indexOf(card);
+    const columnCount = getGridColumnCount(cards);
+    const targetIndex = {
+        ArrowLeft: index - 1,
+        ArrowRight: index + 1,
+        ArrowUp: index - columnCount,
+        ArrowDown: index + columnCount,
+        Home: 0,
+        End: cards.length - 1
+    }[e.key];
+
+    if (targetIndex >= cards.length && renderedCardCount < filteredCharacters.length) {
+        renderNextCardBatch(); // Moving past the rendered cards renders the next batch
+        cards = Array.from(characterGrid.querySelectorAll('.character-card'));
+    }
+    const isInLastRow = Math.floor(index / columnCount) === Math.floor((cards.length - 1) / columnCount);
+    if (targetIndex < 0 || (targetIndex >= cards.length && (e.key !== 'ArrowDown' || isInLastRow))) return;
+    const target = cards[Math.min(targetIndex, cards.length - 1)]; // Down from a row above a shorter last row
+    if (target !== card) target.focus();
+}
+
+// --- LISTBOXES ---
+/**
+ * Arrow keys, Home/End and type-ahead within an open dropdown. Enter and Space are handled by
+ * initializeDropdown.
+ */
+function handleListboxKeydown(e, option) {
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+    const options = Array.from(option.parentElement.querySelectorAll('.filter-option'));
+    const index = options.indexOf(option);
+
+    let target = null;
+    if (e.key === 'ArrowDown') {
+        target = options[Math.min(index + 1, options.length - 1)];
+    } else if (e.key === 'ArrowUp') {
+        target = options[Math.max(index - 1, 0)];
+    } else if (e.key === 'Home') {
+        target = options[0];
+    } else if (e.key === 'End') {
+        target = options[options.length - 1];
+    } else if (e.key.length === 1 && e.key !== KEY_SPACE) {
+        target = findTypeAheadOption(options, index, e.key);
+    }
+    if (!target) return;
+
+    e.preventDefault();
+    e.stopPropagation(); // Typed letters aren't shortcuts here
+    target.focus();
+}
+
+/**
+ * The next option whose label starts with what was typed within TYPE_AHEAD_RESET_DELAY.
+ * Typing the same letter again moves on to the next option starting with it.
+ */
+function findTypeAheadOption(options, currentIndex, key) {
+    clearTimeout(typeAheadTimer);
+    typeAheadTimer = setTimeout(() => {
+        typeAheadText = '';
+    }, TYPE_AHEAD_RESET_DELAY);
+
+    typeAheadText += key.toLocaleLowerCase();
+    const isRepeatedLetter = typeAheadText.split('').every(letter => letter === typeAheadText[0]);
+    const search = isRepeatedLetter ? typeAheadText[0] : typeAheadText;
+    const startIndex = isRepeatedLetter ? currentIndex + 1 : currentIndex;
+    const ordered = [...options.slice(startIndex), ...options.slice(0, startIndex)];
+    return ordered.find(option => option.querySelector('.filter-option-label').textContent.trim().toLocaleLowerCase().startsWith(search)) || null;
+}
+
+// --- CHARACTER SHORTCUTS ---
+/**
+ * f, c, n and p. Returns true when the key was a shortcut.
+ */
+function handleCharacterShortcut(e) {
+    const key = e.key.toLowerCase();
+    const characterId = openCharacterId || document.activeElement?.closest?.('.character-card')?.dataset.characterId;
+    const character = characters.find(c => String(c.id) === String(characterId));
+    if (!character) return false;
+
+    if (key === 'f') {
+        toggleFavorite(character.id);
+        announce(t(isFavorite(character.id) ? 'Added {name} to your favorites.' : 'Removed {name} from your favorites.', { name: character.name }));
+    } else if (key === 'c') {
+        if (toggleCompareSelection(character.id)) {
+            announce(t(isInComparison(character.id) ? 'Added {name} to the comparison.' : 'Removed {name} from the comparison.', { name: character.name }));
+        }
+    } else if ((key === 'n' || key === 'p') && openCharacterId) {
+        showAdjacentCharacter(key === 'n' ? 1 : -1);
+    } else {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Opens the next (`step` 1) or previous (-1) character of the grid's current results.
+ */
+function showAdjacentCharacter(step) {
+    const index = filteredCharacters.findIndex(character => String(character.id) === openCharacterId);
+    const adjacent = index === -1 ? null : filteredCharacters[index + step];
+    if (!adjacent) {
+        announce(t(step > 0 ? 'This is the last character.' : 'This is the first character.'));
+        return;
+    }
+    showCharacterDetailOverlay(adjacent.id);
+}
+
+// --- SHORTCUT HELP ---
+function openShortcutsDialog(triggerElement) {
+    if (!shortcutsDialog || !shortcutsDialog.hidden) return;
+    shortcutsReturnFocusElement = triggerElement || document.activeElement;
+    shortcutsDialog.querySelector('.shortcuts-list').innerHTML = KEYBOARD_SHORTCUTS.map(shortcut => `
+        <dt>${shortcut.keys.map(key => `<kbd>${escapeHTML(key)}</kbd>`).join(' ')}</dt>
+        <dd>${escapeHTML(t(shortcut.description))}</dd>`).join('');
+    shortcutsDialog.hidden = false;
+    requestAnimationFrame(() => shortcutsDialog.classList.add('active'));
+    disableBodyScroll();
+    shortcutsDialog.querySelector('.shortcuts-dialog-panel').focus();
+}
+
+function closeShortcutsDialog() {
+    if (!shortcutsDialog || shortcutsDialog.hidden) return;
+    shortcutsDialog.classList.remove('active');
+    shortcutsDialog.hidden = true;
+    if (characterDetailOverlay.hidden) enableBodyScroll(); // Opened from the overlay, which still needs it off
+    if (shortcutsReturnFocusElement?.isConnected) shortcutsReturnFocusElement.focus();
+}
+
+function handleShortcutsDialogClick(e) {
+    if (e.target === shortcutsDialog || e.target.closest('[data-shortcuts-action="close"]')) {
+        closeShortcutsDialog(); // Close button or click on the backdrop
+    }
+}
+
+function handleShortcutsDialogKeydown(e) {
+    e.stopPropagation(); // The page's shortcuts don't apply while the dialog is open
+    if (e.key === KEY_ESCAPE) {
+        closeShortcutsDialog();
+    } else {
+        trapDialogFocus(shortcutsDialog, e);
+    }
+}
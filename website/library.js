@@ -0,0 +1,396 @@
+// --- PERSONAL LIBRARY ---
+// Favorites, named collections and recently viewed characters. Everything lives in localStorage
+// (a few KB of IDs), is shared between tabs through the `storage` event and can be moved between
+// browsers with the JSON export/import in the "My lists" panel.
+
+const LIBRARY_STORAGE_KEY = 'hoyarchive-library-v1';
+const LIBRARY_EXPORT_FORMAT = 'hoyarchive-library';
+const LIBRARY_EXPORT_VERSION = 1;
+const LIBRARY_RECENT_LIMIT = 12;
+const LIBRARY_FAVORITES_LIST = 'favorites'; // List key of the favorites; collections use their own IDs
+
+const listDropdown = document.getElementById('listFilter');
+const recentlyViewedSection = document.getElementById('recentlyViewed');
+const libraryPanel = document.getElementById('libraryPanel');
+
+let library = loadLibrary();
+
+// --- STORAGE ---
+function createEmptyLibrary() {
+    return { favorites: [], collections: [], recent: [] };
+}
+
+/**
+ * Drops anything malformed, so a hand-edited import or an older format can't break the page.
+ */
+function normalizeLibrary(data) {
+    const toIds = (value) => Array.from(new Set((Array.isArray(value) ? value : []).filter(id => typeof id === 'string' && id)));
+    return {
+        favorites: toIds(data?.favorites),
+        collections: (Array.isArray(data?.collections) ? data.collections : [])
+            .filter(collection => typeof collection?.id === 'string' && typeof collection.name === 'string' && collection.name.trim())
+            .map(collection => ({ id: collection.id, name: collection.name.trim(), characterIds: toIds(collection.characterIds) })),
+        recent: (Array.isArray(data?.recent) ? data.recent : [])
+            .filter(entry => typeof entry?.id === 'string' && entry.id)
+            .map(entry => ({ id: entry.id, viewedAt: String(entry.viewedAt || '') }))
+            .slice(0, LIBRARY_RECENT_LIMIT)
+    };
+}
+
+function loadLibrary() {
+    try {
+        return normalizeLibrary(JSON.parse(localStorage.getItem(LIBRARY_STORAGE_KEY)) || createEmptyLibrary());
+    } catch (error) {
+        console.error('Failed to read the saved lists:', error);
+        return createEmptyLibrary();
+    }
+}
+
+function saveLibrary() {
+    try {
+        localStorage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(library));
+    } catch (error) {
+        // Storage can be disabled or full; the lists still work until the page is closed
+        console.error('Failed to save the lists:', error);
+        showNotification(t('Your lists could not be saved in this browser.'), 'error');
+    }
+}
+
+// --- LISTS ---
+function isFavorite(characterId) {
+    return library.favorites.includes(String(characterId));
+}
+
+function toggleFavorite(characterId) {
+    const id = String(characterId);
+    library.favorites = isFavorite(id) ? library.favorites.filter(favoriteId => favoriteId !== id) : [...library.favorites, id];
+    saveLibrary();
+    refreshLibraryViews();
+}
+
+function getCollection(collectionId) {
+    return library.collections.find(collection => collection.id === collectionId) || null;
+}
+
+function createCollection(name) {
+    const collection = { id: `c-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`, name: name.trim(), characterIds: [] };
+    library.collections.push(collection);
+    return collection;
+}
+
+function toggleCollectionMember(collectionId, characterId, isMember) {
+    const collection = getCollection(collectionId);
+    if (!collection) return;
+    const id = String(characterId);
+    collection.characterIds = isMember
+        ? Array.from(new Set([...collection.characterIds, id]))
+        : collection.characterIds.filter(memberId => memberId !== id);
+    saveLibrary();
+    refreshLibraryViews();
+}
+
+/**
+ * Called whenever a character is opened; the newest entry comes first.
+ */
+function recordRecentlyViewed(characterId) {
+    const id = String(characterId);
+    library.recent = [{ id, viewedAt: new Date().toISOString() }, ...library.recent.filter(entry => entry.id !== id)].slice(0, LIBRARY_RECENT_LIMIT);
+    saveLibrary();
+    renderRecentlyViewed();
+}
+
+/**
+ * IDs in a list, or null for '' (every character) and unknown lists.
+ */
+function getListCharacterIds(listKey) {
+    if (listKey === LIBRARY_FAVORITES_LIST) return new Set(library.favorites);
+    const collection = getCollection(listKey);
+    return collection ? new Set(collection.characterIds) : null;
+}
+
+function characterMatchesList(character) {
+    const ids = getListCharacterIds(currentList);
+    return !ids || ids.has(String(character.id));
+}
+
+// --- LIST FILTER ---
+function populateListDropdown() {
+    if (!listDropdown) return;
+    const options = [
+        ['', t('All Characters')],
+        [LIBRARY_FAVORITES_LIST, `★ ${t('Favorites')}`],
+        ...library.collections.map(collection => [collection.id, collection.name])
+    ];
+    listDropdown.querySelector('.filter-dropdown-content').innerHTML = options
+        .map(([value, label]) => buildFilterOptionHTML(value, label, value === currentList))
+        .join('');
+    initializeDropdown(listDropdown, 'list');
+    currentList = setListSelection(currentList);
+    updateListCounts();
+}
+
+function setListSelection(listKey) {
+    const validListKey = getListCharacterIds(listKey) ? listKey : '';
+    setDropdownSelection(listDropdown, [validListKey]);
+    return validListKey;
+}
+
+function updateListCounts() {
+    if (!listDropdown) return;
+    const savedList = currentList;
+    currentList = ''; // Count every list against the other filters
+    const matching = characters.filter(character => characterMatchesFilters(character));
+    currentList = savedList;
+
+    listDropdown.querySelectorAll('.filter-option').forEach(option => {
+        const ids = getListCharacterIds(option.dataset.value);
+        const count = ids ? matching.filter(character => ids.has(String(character.id))).length : matching.length;
+        option.querySelector('.filter-option-count').textContent = `(${count})`;
+        option.classList.toggle('empty', count === 0);
+    });
+}
+
+// --- RENDERING ---
+/**
+ * `isFocusable: false` leaves the button out of the tab order, for cards (which have the "f" shortcut).
+ */
+function generateFavoriteButtonHTML(character, { isFocusable = true } = {}) {
+    const name = character.name || t('this character');
+    const isFavorited = isFavorite(character.id);
+    return `
+        <button type="button" class="favorite-btn" data-favorite-id="${escapeHTML(character.id)}"${isFocusable ? '' : ' tabindex="-1"'} aria-pressed="${isFavorited}" aria-label="${escapeHTML(t('Favorite {name}', { name }))}" title="${escapeHTML(t(isFavorited ? 'Remove from favorites' : 'Add to favorites'))}">
+            <span aria-hidden="true">${isFavorited ? '★' : '☆'}</span>
+        </button>`;
+}
+
+/**
+ * Favorite button and collection picker shown under the character's name in the overlay.
+ */
+function generateLibraryActionsHTML(character) {
+    return `
+        <div class="overlay-library-actions" data-character-id="${escapeHTML(character.id)}">
+            ${generateFavoriteButtonHTML(character)}
+            <details class="collection-menu">
+                <summary>${t('Collections')}</summary>
+                <div class="collection-menu-body">${generateCollectionMenuBodyHTML(character.id)}</div>
+            </details>
+        </div>`;
+}
+
+function generateCollectionMenuBodyHTML(characterId) {
+    const id = String(characterId);
+    return `
+        ${library.collections.length ? `
+            <ul class="collection-menu-list">
+                ${library.collections.map(collection => `
+                    <li>
+                        <label>
+                            <input type="checkbox" data-collection-id="${escapeHTML(collection.id)}"${collection.characterIds.includes(id) ? ' checked' : ''}>
+                            ${escapeHTML(collection.name)}
+                        </label>
+                    </li>`).join('')}
+            </ul>` : `<p class="collection-menu-empty">${t('No collections yet.')}</p>`}
+        <form class="collection-create-form">
+            <input type="text" name="collectionName" placeholder="${escapeHTML(t('New collection'))}" aria-label="${escapeHTML(t('New collection name'))}" maxlength="60" required>
+            <button type="submit" class="archive-action-btn">${t('Add')}</button>
+        </form>`;
+}
+
+function renderRecentlyViewed() {
+    if (!recentlyViewedSection) return;
+    const recentCharacters = library.recent
+        .map(entry => characters.find(character => String(character.id) === entry.id))
+        .filter(Boolean);
+
+    recentlyViewedSection.hidden = recentCharacters.length === 0;
+    recentlyViewedSection.innerHTML = recentCharacters.length === 0 ? '' : `
+        <div class="recently-viewed-header">
+            <h2 id="recently-viewed-heading">${t('Recently Viewed')}</h2>
+            <button type="button" class="archive-action-btn" data-library-action="clear-recent">${t('Clear')}</button>
+        </div>
+        <ul class="recently-viewed-list">
+            ${recentCharacters.map(character => `
+                <li>
+                    <button type="button" class="recently-viewed-item" data-recent-id="${escapeHTML(character.id)}">
+                        <img src="${escapeHTML(sanitizeUrl(character.assets?.splashImage) || 'characters/generic/splash.png')}" alt="" loading="lazy">
+                        <span>${escapeHTML(character.name)}</span>
+                    </button>
+                </li>`).join('')}
+        </ul>`;
+}
+
+function renderLibraryPanel() {
+    if (!libraryPanel) return;
+    const wasOpen = libraryPanel.querySelector('.library-details')?.open;
+    const favoriteCount = library.favorites.length;
+    const collectionCount = library.collections.length;
+
+    libraryPanel.innerHTML = `
+        <details class="library-details"${wasOpen ? ' open' : ''}>
+            <summary><strong id="library-panel-heading">${t('My lists:')}</strong> ${escapeHTML(tn('{count} favorite', '{count} favorites', favoriteCount))} · ${escapeHTML(tn('{count} collection', '{count} collections', collectionCount))}</summary>
+            <p class="offline-note">${t('Stored in this browser only. Export them to keep a backup or to move them to another device.')}</p>
+            ${collectionCount ? `
+                <ul class="library-collection-list">
+                    ${library.collections.map(collection => `
+                        <li>
+                            <input type="text" value="${escapeHTML(collection.name)}" data-collection-rename="${escapeHTML(collection.id)}" aria-label="${escapeHTML(t('Name of the collection {name}', { name: collection.name }))}" maxlength="60">
+                            <span class="library-collection-count">${escapeHTML(tn('{count} character', '{count} characters', collection.characterIds.length))}</span>
+                            <button type="button" class="action-btn viewer-btn" data-library-action="delete-collection" data-collection-id="${escapeHTML(collection.id)}">${t('Delete')}</button>
+                        </li>`).join('')}
+                </ul>` : ''}
+            <div class="library-actions">
+                <button type="button" class="action-btn viewer-btn" data-library-action="export">${t('Export JSON')}</button>
+                <label class="action-btn viewer-btn library-import-btn">
+                    ${t('Import JSON')}
+                    <input type="file" accept=".json,application/json" class="visually-hidden" data-library-action="import">
+                </label>
+            </div>
+        </details>`;
+    libraryPanel.hidden = false;
+}
+
+/**
+ * Brings every view of the lists up to date after a change (here or in another tab).
+ */
+function refreshLibraryViews() {
+    document.querySelectorAll('.favorite-btn[data-favorite-id]').forEach(button => {
+        const isFavorited = isFavorite(button.dataset.favoriteId);
+        button.setAttribute('aria-pressed', String(isFavorited));
+        button.title = t(isFavorited ? 'Remove from favorites' : 'Add to favorites');
+        button.querySelector('span').textContent = isFavorited ? '★' : '☆';
+    });
+    document.querySelectorAll('.overlay-library-actions').forEach(actions => {
+        actions.querySelector('.collection-menu-body').innerHTML = generateCollectionMenuBodyHTML(actions.dataset.characterId);
+    });
+
+    const previousList = currentList;
+    populateListDropdown();
+    renderRecentlyViewed();
+    renderLibraryPanel();
+    if (currentList || previousList) {
+        applyFilters({ replaceHistory: true }); // The shown list changed (or was deleted)
+    }
+}
+
+// --- IMPORT & EXPORT ---
+function exportLibrary() {
+    const data = { format: LIBRARY_EXPORT_FORMAT, version: LIBRARY_EXPORT_VERSION, exportedAt: new Date().toISOString(), ...library };
+    triggerBlobDownload(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), 'hoyarchive-lists.json');
+}
+
+/**
+ * Merges an export into the current lists: favorites are combined, collections with the same name
+ * are merged and the recently viewed entries keep the newest views.
+ */
+async function importLibrary(file) {
+    try {
+        const data = JSON.parse(await file.text());
+        if (data?.format !== LIBRARY_EXPORT_FORMAT) {
+            throw new Error('this is not a HoYarchive lists export');
+        }
+        const imported = normalizeLibrary(data);
+
+        library.favorites = Array.from(new Set([...library.favorites, ...imported.favorites]));
+        imported.collections.forEach(importedCollection => {
+            const existing = library.collections.find(collection => collection.name.toLowerCase() === importedCollection.name.toLowerCase());
+            const target = existing || createCollection(importedCollection.name);
+            target.characterIds = Array.from(new Set([...target.characterIds, ...importedCollection.characterIds]));
+        });
+        library.recent = [...library.recent, ...imported.recent]
+            .sort((a, b) => b.viewedAt.localeCompare(a.viewedAt))
+            .filter((entry, index, entries) => entries.findIndex(other => other.id === entry.id) === index)
+            .slice(0, LIBRARY_RECENT_LIMIT);
+
+        saveLibrary();
+        refreshLibraryViews();
+        showNotification(t('Imported {favorites} and {collections}.', {
+            favorites: tn('{count} favorite', '{count} favorites', imported.favorites.length),
+            collections: tn('{count} collection', '{count} collections', imported.collections.length)
+        }), 'success');
+    } catch (error) {
+        console.error('Failed to import lists:', error);
+        showNotification(t('Could not import "{file}": {error}', { file: file.name, error: error.message }), 'error');
+    }
+}
+
+// --- EVENTS ---
+function initializeLibrary() {
+    document.addEventListener('click', handleLibraryClick);
+    document.addEventListener('change', handleLibraryChange);
+    document.addEventListener('submit', handleCollectionCreate);
+    overlayContent.addEventListener('toggle', (e) => {
+        if (e.target.matches('.collection-menu')) setupFocusTrap(); // Its checkboxes are only focusable while open
+    }, true);
+    window.addEventListener('storage', (e) => {
+        if (e.key !== LIBRARY_STORAGE_KEY) return;
+        library = loadLibrary(); // Changed in another tab
+        refreshLibraryViews();
+    });
+
+    populateListDropdown();
+    renderRecentlyViewed();
+    renderLibraryPanel();
+}
+
+function handleLibraryClick(e) {
+    const favoriteButton = e.target.closest('.favorite-btn[data-favorite-id]');
+    if (favoriteButton) {
+        toggleFavorite(favoriteButton.dataset.favoriteId);
+        return;
+    }
+
+    const recentButton = e.target.closest('.recently-viewed-item[data-recent-id]');
+    if (recentButton) {
+        showCharacterDetailOverlay(recentButton.dataset.recentId, recentButton);
+        return;
+    }
+
+    const actionButton = e.target.closest('button[data-library-action]');
+    if (!actionButton) return;
+    if (actionButton.dataset.libraryAction === 'clear-recent') {
+        library.recent = [];
+        saveLibrary();
+        renderRecentlyViewed();
+    } else if (actionButton.dataset.libraryAction === 'export') {
+        exportLibrary();
+    } else if (actionButton.dataset.libraryAction === 'delete-collection') {
+        const collection = getCollection(actionButton.dataset.collectionId);
+        library.collections = library.collections.filter(other => other !== collection);
+        saveLibrary();
+        refreshLibraryViews();
+        if (collection) showNotification(t('Deleted the collection "{name}".', { name: collection.name }), 'info');
+    }
+}
+
+function handleLibraryChange(e) {
+    const target = e.target;
+    if (target.matches('.collection-menu input[data-collection-id]')) {
+        toggleCollectionMember(target.dataset.collectionId, target.closest('.overlay-library-actions').dataset.characterId, target.checked);
+    } else if (target.matches('input[data-collection-rename]')) {
+        const collection = getCollection(target.dataset.collectionRename);
+        if (collection && target.value.trim()) {
+            collection.name = target.value.trim();
+            saveLibrary();
+            refreshLibraryViews();
+        } else if (collection) {
+            target.value = collection.name; // Names can't be empty
+        }
+    } else if (target.matches('input[type="file"][data-library-action="import"]') && target.files[0]) {
+        importLibrary(target.files[0]);
+        target.value = '';
+    }
+}
+
+function handleCollectionCreate(e) {
+    if (!e.target.matches('.collection-create-form')) return;
+    e.preventDefault();
+    const input = e.target.elements.collectionName;
+    const characterId = e.target.closest('.overlay-library-actions').dataset.characterId;
+    const name = input.value.trim();
+    if (!name) return;
+
+    const collection = library.collections.find(other => other.name.toLowerCase() === name.toLowerCase()) || createCollection(name);
+    toggleCollectionMember(collection.id, characterId, true);
+    const menu = document.querySelector(`.overlay-library-actions[data-character-id="${CSS.escape(characterId)}"] .collection-menu`);
+    menu?.querySelector('input[name="collectionName"]')?.focus();
+}
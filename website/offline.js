@@ -0,0 +1,193 @@
+// --- OFFLINE SUPPORT ---
+// Registers sw.js and manages the caches it reads from. Model archives are only kept offline when
+// the user saves them from the overlay; the panel below the grid lists them together with the
+// cache status and how much storage the site uses.
+
+const SERVICE_WORKER_PATH = 'sw.js';
+// Cache names must match sw.js
+const OFFLINE_SHELL_CACHE = 'hoyarchive-shell-v1';
+const OFFLINE_DATA_CACHE = 'hoyarchive-data-v1';
+const OFFLINE_MODEL_CACHE = 'hoyarchive-models-v1';
+
+const offlinePanel = document.getElementById('offlinePanel');
+
+function isOfflineSupported() {
+    return 'serviceWorker' in navigator && 'caches' in window && window.isSecureContext;
+}
+
+async function initializeOfflineSupport() {
+    if (!isOfflineSupported()) return;
+
+    try {
+        await navigator.serviceWorker.register(SERVICE_WORKER_PATH);
+    } catch (error) {
+        console.error('Service worker registration failed:', error);
+    }
+
+    window.addEventListener('online', () => {
+        showNotification(t('Back online.'), 'success');
+        renderOfflinePanel();
+    });
+    window.addEventListener('offline', () => {
+        showNotification(t('You are offline. Saved models and cached characters are still available.'), 'info');
+        renderOfflinePanel();
+    });
+    offlinePanel?.addEventListener('click', handleOfflinePanelClick);
+
+    // The worker precaches the shell on its first install, so check again once it controls the page
+    navigator.serviceWorker.ready.then(() => renderOfflinePanel());
+    renderOfflinePanel();
+}
+
+// --- SAVED MODEL ARCHIVES ---
+function getAbsoluteUrl(path) {
+    return new URL(path, window.location.href).href;
+}
+
+async function isModelArchiveSaved(modelPath) {
+    const cache = await caches.open(OFFLINE_MODEL_CACHE);
+    return Boolean(await cache.match(getAbsoluteUrl(modelPath)));
+}
+
+async function saveModelArchiveForOffline(modelPath) {
+    const response = await fetch(modelPath, { cache: 'no-store' });
+    if (!response.ok) {
+        throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
+    }
+    const cache = await caches.open(OFFLINE_MODEL_CACHE);
+    await cache.put(getAbsoluteUrl(modelPath), response);
+
+    // Ask the browser not to evict saved archives under storage pressure (it may silently decline)
+    if (navigator.storage?.persist) {
+        navigator.storage.persist().catch(() => {});
+    }
+}
+
+async function removeSavedModelArchive(modelPath) {
+    const cache = await caches.open(OFFLINE_MODEL_CACHE);
+    await cache.delete(getAbsoluteUrl(modelPath));
+}
+
+/**
+ * Lists saved archives as `{ url, path, size }`.
+ */
+async function getSavedModelArchives() {
+    const cache = await caches.open(OFFLINE_MODEL_CACHE);
+    const requests = await cache.keys();
+    return Promise.all(requests.map(async request => {
+        const response = await cache.match(request);
+        const size = Number(response.headers.get('content-length')) || (await response.blob()).size;
+        const path = decodeURIComponent(new URL(request.url).pathname).replace(new URL('.', window.location.href).pathname, '');
+        return { url: request.url, path, size };
+    }));
+}
+
+// --- OVERLAY CONTROLS ---
+/**
+ * Wires the "Save for offline" button in the overlay's model section.
+ */
+async function initializeOfflineModelControls(scope, character, modelPath) {
+    const container = scope.querySelector('.offline-model-controls');
+    if (!container || !isOfflineSupported()) return;
+
+    const button = container.querySelector('.offline-save-btn');
+    const status = container.querySelector('.offline-model-status');
+    const characterName = character.name || t('this character');
+
+    const refresh = async () => {
+        const isSaved = await isModelArchiveSaved(modelPath);
+        button.textContent = t(isSaved ? 'Remove Offline Copy' : 'Save for Offline');
+        button.setAttribute('aria-pressed', String(isSaved));
+        status.textContent = isSaved ? t('Available offline') : '';
+    };
+
+    button.addEventListener('click', async () => {
+        const isSaved = button.getAttribute('aria-pressed') === 'true';
+        button.disabled = true;
+        status.textContent = t(isSaved ? 'Removing...' : 'Saving...');
+        try {
+            if (isSaved) {
+                await removeSavedModelArchive(modelPath);
+                showNotification(t("Removed the offline copy of {name}'s model.", { name: characterName }), 'success');
+            } else {
+                await saveModelArchiveForOffline(modelPath);
+                showNotification(t("{name}'s model is now available offline.", { name: characterName }), 'success');
+            }
+        } catch (error) {
+            console.error(`Failed to update the offline copy of ${modelPath}:`, error);
+            showNotification(t('Could not update the offline copy. Check console for errors.'), 'error');
+        } finally {
+            button.disabled = false;
+            await refresh();
+            renderOfflinePanel();
+        }
+    });
+
+    container.hidden = false;
+    await refresh();
+}
+
+// --- STATUS PANEL ---
+async function renderOfflinePanel() {
+    if (!offlinePanel || !isOfflineSupported()) return;
+
+    try {
+        const [hasShell, savedArchives, estimate] = await Promise.all([
+            caches.open(OFFLINE_SHELL_CACHE).then(cache => cache.keys()).then(keys => keys.length > 0),
+            getSavedModelArchives(),
+            navigator.storage?.estimate ? navigator.storage.estimate() : Promise.resolve(null)
+        ]);
+        const dataEntryCount = (await (await caches.open(OFFLINE_DATA_CACHE)).keys()).length;
+
+        const statusParts = [
+            t(navigator.onLine ? 'Online' : 'Offline'),
+            t(hasShell ? 'site available offline' : 'offline copy not ready yet'),
+            tn('{count} saved model', '{count} saved models', savedArchives.length)
+        ];
+        if (estimate?.usage !== undefined) {
+            statusParts.push(estimate.quota
+                ? t('{used} of {quota} used', { used: formatBytes(estimate.usage), quota: formatBytes(estimate.quota) })
+                : t('{used} used', { used: formatBytes(estimate.usage) }));
+        }
+
+        offlinePanel.innerHTML = `
+            <details class="offline-details">
+                <summary><strong id="offline-panel-heading">${t('Offline:')}</strong> ${escapeHTML(statusParts.join(' · '))}</summary>
+                <p class="offline-note">${escapeHTML(tn('{count} cached data file and images.', '{count} cached data files and images.', dataEntryCount))} ${t('Save a model from its detail view to open it without a connection.')}</p>
+                ${savedArchives.length ? `
+                    <ul class="offline-model-list">
+                        ${savedArchives.map(archive => `
+                            <li>
+                                <code>${escapeHTML(archive.path)}</code> <span class="offline-model-size">${formatBytes(archive.size)}</span>
+                                <button type="button" class="action-btn viewer-btn" data-offline-action="remove" data-url="${escapeHTML(archive.url)}">${t('Remove')}</button>
+                            </li>`).join('')}
+                    </ul>` : ''}
+                <button type="button" class="action-btn viewer-btn" data-offline-action="clear-data"${dataEntryCount ? '' : ' disabled'}>${t('Clear Cached Data')}</button>
+            </details>`;
+        offlinePanel.hidden = false;
+    } catch (error) {
+        console.error('Failed to read the offline cache status:', error);
+    }
+}
+
+async function handleOfflinePanelClick(e) {
+    const button = e.target.closest('[data-offline-action]');
+    if (!button) return;
+    const wasOpen = offlinePanel.querySelector('.offline-details')?.open;
+
+    button.disabled = true;
+    try {
+        if (button.dataset.offlineAction === 'remove') {
+            await (await caches.open(OFFLINE_MODEL_CACHE)).delete(button.dataset.url);
+        } else if (button.dataset.offlineAction === 'clear-data') {
+            await caches.delete(OFFLINE_DATA_CACHE);
+        }
+    } catch (error) {
+        console.error('Failed to update the offline cache:', error);
+        showNotification(t('Could not update the offline cache. Check console for errors.'), 'error');
+    }
+
+    await renderOfflinePanel();
+    const details = offlinePanel.querySelector('.offline-details');
+    if (details) details.open = Boolean(wasOpen);
+}
@@ -0,0 +1,169 @@
+// --- RICH TEXT ---
+// Text fields in data.json (descriptions, model info, inclusion names...) use a small Markdown
+// subset. The generated HTML always goes through a whitelist sanitizer, so inline HTML in the data
+// is limited to the same handful of harmless tags and can never carry scripts, styles or handlers.
+//
+// Supported Markdown: paragraphs (blank line), line breaks (newline), **bold**, *italic*/_italic_,
+// `code`, [links](https://example.com) and "- " / "1. " lists.
+
+const RICH_TEXT_ALLOWED_TAGS = ['p', 'br', 'strong', 'b', 'em', 'i', 'code', 'ul', 'ol', 'li', 'a'];
+const RICH_TEXT_VOID_TAGS = ['br'];
+const RICH_TEXT_DROP_CONTENT_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'title'];
+const RICH_TEXT_TAG_PATTERN = /<(\/?)([a-z][a-z0-9-]*)([^>]*)>/gi;
+const SAFE_URL_PATTERN = /^(?:https?:\/\/|mailto:|#|\/|\.{0,2}\/|[\w%][\w%.-]*(?:\/|$))/i;
+
+function escapeRichTextContent(text) {
+    // Leaves existing entities (e.g. &amp;) intact so already-escaped text isn't double escaped
+    return text
+        .replace(/&(?!(?:#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);)/gi, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function decodeBasicEntities(text) {
+    return text
+        .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;|&apos;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Returns the URL if it is http(s), mailto, an anchor or a relative path, otherwise null.
+ */
+function sanitizeUrl(url) {
+    const cleaned = decodeBasicEntities(String(url ?? '')).replace(/[\u0000-\u001f\s]+/g, '');
+    if (!cleaned || !SAFE_URL_PATTERN.test(cleaned)) return null;
+    // Relative paths must not smuggle a scheme in (e.g. "javascript:alert(1)")
+    if (/^[\w%][\w%.-]*:/.test(cleaned) && !/^(?:https?|mailto):/i.test(cleaned)) return null;
+    return cleaned;
+}
+
+function isExternalUrl(url) {
+    return /^https?:\/\//i.test(url);
+}
+
+function buildLinkTag(url) {
+    const safeUrl = sanitizeUrl(url);
+    if (!safeUrl) return '<a>';
+    const externalAttributes = isExternalUrl(safeUrl) ? ' target="_blank" rel="noopener noreferrer"' : '';
+    return `<a href="${escapeRichTextContent(safeUrl).replace(/"/g, '&quot;')}"${externalAttributes}>`;
+}
+
+/**
+ * Whitelist sanitizer. Keeps only RICH_TEXT_ALLOWED_TAGS, strips every attribute except a safe
+ * `href` on links, drops the content of script-like elements and escapes everything else.
+ * Works on strings so it runs the same way outside the browser.
+ */
+function sanitizeHTML(html) {
+    const source = String(html ?? '');
+    let output = '';
+    let lastIndex = 0;
+    let dropDepth = 0;
+    const openTags = [];
+
+    const appendText = (text) => {
+        if (dropDepth === 0) output += escapeRichTextContent(text);
+    };
+
+    source.replace(RICH_TEXT_TAG_PATTERN, (match, closingSlash, rawTagName, attributes, offset) => {
+        appendText(source.slice(lastIndex, offset));
+        lastIndex = offset + match.length;
+        const tagName = rawTagName.toLowerCase();
+        const isClosing = closingSlash === '/';
+
+        if (RICH_TEXT_DROP_CONTENT_TAGS.includes(tagName)) {
+            dropDepth = Math.max(0, dropDepth + (isClosing ? -1 : 1));
+            return match;
+        }
+        if (dropDepth > 0 || !RICH_TEXT_ALLOWED_TAGS.includes(tagName)) {
+            return match; // Disallowed tags are removed, their text content is kept
+        }
+
+        if (isClosing) {
+            const openIndex = openTags.lastIndexOf(tagName);
+            if (openIndex !== -1) {
+                // Close anything left open inside this element so the markup stays balanced
+                openTags.splice(openIndex).reverse().forEach(name => { output += `</${name}>`; });
+            }
+        } else if (RICH_TEXT_VOID_TAGS.includes(tagName)) {
+            output += `<${tagName}>`;
+        } else if (tagName === 'a') {
+            const hrefMatch = attributes.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/i);
+            output += buildLinkTag(hrefMatch ? (hrefMatch[1] ?? hrefMatch[2] ?? hrefMatch[3]) : '');
+            openTags.push(tagName);
+        } else {
+            output += `<${tagName}>`;
+            openTags.push(tagName);
+        }
+        return match;
+    });
+
+    appendText(source.slice(lastIndex));
+    openTags.reverse().forEach(name => { output += `</${name}>`; });
+    return output;
+}
+
+function formatMarkdownEmphasis(text) {
+    return text
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^\w*])\*([^*\s][^*]*?)\*(?!\w)/g, '$1<em>$2</em>')
+        .replace(/(^|[^\w])_([^_\s][^_]*?)_(?!\w)/g, '$1<em>$2</em>');
+}
+
+function renderInlineMarkdown(text) {
+    // Code spans, links and inline tags are set aside first so emphasis markers inside them
+    // (e.g. underscores in URLs) are left alone
+    const placeholders = [];
+    const protect = (html) => {
+        placeholders.push(html);
+        return `\u0000${placeholders.length - 1}\u0000`;
+    };
+
+    let html = formatMarkdownEmphasis(text
+        .replace(/\u0000/g, '')
+        .replace(/`([^`]+)`/g, (_, code) => protect(`<code>${escapeRichTextContent(code)}</code>`))
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (_, label, url) => protect(`<a href="${url.replace(/"/g, '&quot;')}">${formatMarkdownEmphasis(label)}</a>`))
+        .replace(RICH_TEXT_TAG_PATTERN, tag => protect(tag)))
+        .replace(/\n/g, '<br>');
+
+    while (/\u0000\d+\u0000/.test(html)) {
+        html = html.replace(/\u0000(\d+)\u0000/g, (_, index) => placeholders[index]);
+    }
+    return html;
+}
+
+function renderMarkdownBlock(block) {
+    const lines = block.split('\n');
+    if (lines.every(line => /^\s*[-*]\s+/.test(line))) {
+        return `<ul>${lines.map(line => `<li>${renderInlineMarkdown(line.replace(/^\s*[-*]\s+/, ''))}</li>`).join('')}</ul>`;
+    }
+    if (lines.every(line => /^\s*\d+[.)]\s+/.test(line))) {
+        return `<ol>${lines.map(line => `<li>${renderInlineMarkdown(line.replace(/^\s*\d+[.)]\s+/, ''))}</li>`).join('')}</ol>`;
+    }
+    return `<p>${renderInlineMarkdown(block)}</p>`;
+}
+
+/**
+ * Renders a rich text field to sanitized HTML.
+ * With `inline: true` no paragraphs or lists are produced (for names, badges and card snippets).
+ */
+function renderRichText(text, { inline = false } = {}) {
+    const source = String(text ?? '').replace(/\r\n?/g, '\n').trim();
+    if (!source) return '';
+    if (inline) {
+        return sanitizeHTML(renderInlineMarkdown(source.replace(/\n+/g, ' ')));
+    }
+    const blocks = source.split(/\n\s*\n/).map(block => block.trim()).filter(Boolean);
+    return sanitizeHTML(blocks.map(renderMarkdownBlock).join(''));
+}
+
+/**
+ * Plain-text version of a rich text field (for alt text, aria labels and file names).
+ */
+function richTextToPlainText(text) {
+    return decodeBasicEntities(renderRichText(text, { inline: true }).replace(/<[^>]*>/g, ''));
+}
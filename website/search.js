@@ -0,0 +1,229 @@
+// --- SEARCH ---
+// In-memory full-text index over the loaded characters. Queries are split into terms that must all
+// match (AND); each term is scored per field by how closely it matches (exact > prefix > substring >
+// typo), weighted by the field. `field:value` scopes a term to one field, e.g. `element:Cryo inc:hair`,
+// and "double quotes" match a phrase.
+
+const SEARCH_FUZZY_MIN_LENGTH = 4; // Shorter terms only match exactly/by prefix to avoid noise
+const SEARCH_SUBSTRING_MIN_LENGTH = 3;
+const SEARCH_SNIPPET_LENGTH = 80;
+const SEARCH_TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// `visibleOnCard` fields are highlighted in place; matches in the others are listed as snippets
+const SEARCH_FIELDS = {
+    name: { label: 'Name', weight: 10, aliases: ['name'], visibleOnCard: true, getParts: c => [c.name] },
+    id: { label: 'ID', weight: 6, aliases: ['id'], getParts: c => [c.id] },
+    inclusion: {
+        label: 'Inclusion',
+        weight: 5,
+        aliases: ['inc', 'inclusion', 'part'],
+        getParts: c => (Array.isArray(c.inclusions) ? c.inclusions : []).map(inc => `${inc.id ?? ''} ${richTextToPlainText(inc.name)}`.trim())
+    },
+    game: { label: 'Game', weight: 3, aliases: ['game'], visibleOnCard: true, getParts: c => [c.game, getGame(c.game)?.name, getGame(c.game)?.shortName] },
+    element: { label: 'Element', weight: 4, aliases: ['element', 'el', 'attribute'], visibleOnCard: true, getParts: c => [c.element] },
+    path: { label: 'Path', weight: 4, aliases: ['path', 'specialty'], visibleOnCard: true, getParts: c => [c.path] },
+    weapon: { label: 'Weapon', weight: 4, aliases: ['weapon'], visibleOnCard: true, getParts: c => [c.weapon] },
+    faction: { label: 'Faction', weight: 3, aliases: ['faction', 'region'], visibleOnCard: true, getParts: c => [c.faction] },
+    rarity: { label: 'Rarity', weight: 2, aliases: ['rarity', 'r'], visibleOnCard: true, getParts: c => [c.rarity] },
+    uploader: { label: 'Uploader', weight: 3, aliases: ['uploader', 'by'], getParts: c => [getUploaderName(c)] },
+    description: { label: 'Description', weight: 2, aliases: ['desc', 'description'], visibleOnCard: true, getParts: c => [richTextToPlainText(c.description)] },
+    modelInfo: {
+        label: 'Model info',
+        weight: 1,
+        aliases: ['info', 'model', 'modelinfo'],
+        getParts: c => [richTextToPlainText(c.modelInfo), ...(Array.isArray(c.links) ? c.links.map(link => link?.label) : [])]
+    }
+};
+
+function tokenizeSearchText(text) {
+    return String(text ?? '').toLowerCase().match(SEARCH_TOKEN_PATTERN) || [];
+}
+
+/**
+ * Builds one document per character: `{ character, fields: { [field]: { parts, text, tokens } } }`.
+ */
+function buildSearchIndex(characterList) {
+    return characterList.map(character => {
+        const fields = {};
+        Object.entries(SEARCH_FIELDS).forEach(([fieldName, field]) => {
+            const parts = field.getParts(character).filter(part => part !== undefined && part !== null && String(part).trim() !== '').map(String);
+            const text = parts.join('\n').toLowerCase();
+            fields[fieldName] = { parts, text, tokens: Array.from(new Set(tokenizeSearchText(text))) };
+        });
+        return { character, fields };
+    });
+}
+
+function resolveSearchField(alias) {
+    const lowerAlias = alias.toLowerCase();
+    return Object.keys(SEARCH_FIELDS).find(fieldName => SEARCH_FIELDS[fieldName].aliases.includes(lowerAlias)) || null;
+}
+
+/**
+ * Splits a query into terms: `{ value, field, isPhrase }`. Unknown `prefix:` parts are searched as text.
+ */
+function parseSearchQuery(query) {
+    const terms = [];
+    const pattern = /(?:([\w]+):)?(?:"([^"]*)"?|(\S+))/g;
+    let match;
+
+    while ((match = pattern.exec(String(query ?? ''))) !== null) {
+        const [raw, alias, quoted, word] = match;
+        let field = alias ? resolveSearchField(alias) : null;
+        let value = (quoted ?? word ?? '').toLowerCase().trim();
+        if (alias && !field) {
+            value = raw.toLowerCase().replace(/"/g, ''); // e.g. "gimi:tools" is just text
+        }
+        if (!value) continue;
+
+        if (quoted !== undefined) {
+            terms.push({ value, field, isPhrase: true });
+        } else {
+            tokenizeSearchText(value).forEach(token => terms.push({ value: token, field, isPhrase: false }));
+        }
+    }
+    return terms;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent swaps), giving up above `maxDistance`.
+ */
+function getEditDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMinimum = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (previousPrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], previousPrevious[j - 2] + 1);
+            }
+            rowMinimum = Math.min(rowMinimum, current[j]);
+        }
+        if (rowMinimum > maxDistance) return maxDistance + 1;
+        previousPrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Best match of a term within one indexed field: `{ score, tokens }` (0 when nothing matches).
+ * `tokens` are the field's own words that matched, used for highlighting typo matches.
+ */
+function scoreTermInField(term, indexedField) {
+    if (term.isPhrase) {
+        return indexedField.text.includes(term.value) ? { score: 1, tokens: [term.value] } : { score: 0, tokens: [] };
+    }
+
+    let bestScore = 0;
+    const matchedTokens = [];
+    const maxDistance = term.value.length >= 8 ? 2 : 1;
+
+    indexedField.tokens.forEach(token => {
+        let score = 0;
+        if (token === term.value) {
+            score = 1;
+        } else if (token.startsWith(term.value)) {
+            score = 0.75;
+        } else if (term.value.length >= SEARCH_SUBSTRING_MIN_LENGTH && token.includes(term.value)) {
+            score = 0.5;
+        } else if (term.value.length >= SEARCH_FUZZY_MIN_LENGTH) {
+            const distance = getEditDistance(term.value, token, maxDistance);
+            // Partially typed words with a typo are compared against the same-length start of the token
+            const prefixDistance = token.length > term.value.length
+                ? getEditDistance(term.value, token.slice(0, term.value.length), maxDistance)
+                : distance;
+            if (distance <= maxDistance) {
+                score = 0.45 / distance;
+            } else if (prefixDistance <= maxDistance) {
+                score = 0.3 / prefixDistance;
+            }
+        }
+        if (score > 0) matchedTokens.push(token);
+        bestScore = Math.max(bestScore, score);
+    });
+    return { score: bestScore, tokens: matchedTokens };
+}
+
+/**
+ * Runs `query` against the index. Returns a Map of character id → `{ score, matches, entry }` for
+ * every character matching all terms, where `matches` maps field names to the Set of matched words
+ * and `entry` is the character's index document.
+ */
+function searchCharacters(searchIndex, query) {
+    const terms = parseSearchQuery(query);
+    const results = new Map();
+    if (terms.length === 0) {
+        searchIndex.forEach(doc => results.set(String(doc.character.id), { score: 0, matches: {}, entry: doc }));
+        return results;
+    }
+
+    searchIndex.forEach(doc => {
+        let totalScore = 0;
+        const matches = {};
+
+        const allTermsMatch = terms.every(term => {
+            let termScore = 0;
+            (term.field ? [term.field] : Object.keys(SEARCH_FIELDS)).forEach(fieldName => {
+                const { score, tokens } = scoreTermInField(term, doc.fields[fieldName]);
+                if (score === 0) return;
+                termScore = Math.max(termScore, score * SEARCH_FIELDS[fieldName].weight);
+                matches[fieldName] = matches[fieldName] || new Set();
+                tokens.forEach(token => matches[fieldName].add(token));
+            });
+            totalScore += termScore;
+            return termScore > 0;
+        });
+
+        if (allTermsMatch) {
+            results.set(String(doc.character.id), { score: totalScore, matches, entry: doc });
+        }
+    });
+    return results;
+}
+
+// --- HIGHLIGHTING ---
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Wraps matched words in `<mark>` inside already sanitized/escaped HTML. Only text between tags is
+ * touched and entities (e.g. `&amp;`) are skipped, so the markup stays intact.
+ */
+function highlightSearchMatches(html, words) {
+    const sortedWords = Array.from(words || []).filter(Boolean).sort((a, b) => b.length - a.length);
+    if (sortedWords.length === 0 || !html) return html;
+
+    const wordPattern = new RegExp(`(&[#\\w]+;)|(${sortedWords.map(word => escapeRegExp(escapeHTML(word))).join('|')})`, 'gi');
+    return String(html).split(/(<[^>]*>)/).map(segment => {
+        if (segment.startsWith('<')) return segment;
+        return segment.replace(wordPattern, (match, entity) => (entity ? match : `<mark class="search-highlight">${match}</mark>`));
+    }).join('');
+}
+
+/**
+ * Short highlighted excerpts for matches in fields the card doesn't show (inclusions, model info...).
+ */
+function getSearchMatchSnippets(searchMatch) {
+    if (!searchMatch) return [];
+
+    return Object.entries(searchMatch.matches)
+        .filter(([fieldName]) => !SEARCH_FIELDS[fieldName].visibleOnCard)
+        .map(([fieldName, words]) => {
+            const wordList = Array.from(words);
+            const part = searchMatch.entry.fields[fieldName].parts.find(p => wordList.some(word => p.toLowerCase().includes(word)));
+            if (!part) return null;
+
+            const matchIndex = Math.min(...wordList.map(word => part.toLowerCase().indexOf(word)).filter(index => index >= 0));
+            const start = Math.max(0, matchIndex - SEARCH_SNIPPET_LENGTH / 2);
+            const excerpt = `${start > 0 ? '…' : ''}${part.slice(start, start + SEARCH_SNIPPET_LENGTH)}${start + SEARCH_SNIPPET_LENGTH < part.length ? '…' : ''}`;
+            return { label: t(SEARCH_FIELDS[fieldName].label), html: highlightSearchMatches(escapeHTML(excerpt), wordList) };
+        })
+        .filter(Boolean);
+}
@@ -0,0 +1,489 @@
+// --- SUBMISSION WIZARD ---
+// "Submit a model" builds a ready-to-commit characters/<id>/ folder: character.json, the splash image
+// and model.zip. Part hashes are read from the model archive to prefill the inclusions, and the
+// entry is checked with the same schema and rules the site applies when loading data.
+
+const SUBMISSION_STEPS = [
+    { id: 'details', label: 'Details' },
+    { id: 'files', label: 'Files & Inclusions' },
+    { id: 'review', label: 'Review & Export' }
+];
+const SUBMISSION_SPLASH_TYPES = { 'image/png': 'png', 'image/jpeg': 'jpg', 'image/webp': 'webp' };
+const SUBMISSION_SPLASH_MAX_SIZE = 2 * 1024 * 1024; // Larger splashes slow down the grid
+
+const submitDialog = document.getElementById('submitDialog');
+const submitModelBtn = document.getElementById('submitModelBtn');
+
+let submissionState = null; // Kept while the dialog is closed, so reopening continues the submission
+
+function initializeSubmissionWizard() {
+    if (!submitDialog || !submitModelBtn) return;
+
+    submitModelBtn.addEventListener('click', () => openSubmissionWizard(submitModelBtn));
+    submitDialog.addEventListener('click', handleSubmissionClick);
+    submitDialog.addEventListener('input', handleSubmissionInput);
+    submitDialog.addEventListener('change', handleSubmissionChange);
+    submitDialog.addEventListener('keydown', handleSubmissionKeydown);
+    submitDialog.addEventListener('dragover', handleSubmissionDragOver);
+    submitDialog.addEventListener('dragleave', (e) => e.target.closest('.submit-dropzone')?.classList.remove('dragging'));
+    submitDialog.addEventListener('drop', handleSubmissionDrop);
+}
+
+function openSubmissionWizard(triggerElement) {
+    if (!submissionState) resetSubmission();
+    submissionState.returnFocusElement = triggerElement || document.activeElement;
+
+    submitDialog.hidden = false;
+    requestAnimationFrame(() => submitDialog.classList.add('active'));
+    disableBodyScroll();
+    showSubmissionStep(submissionState.step);
+}
+
+function closeSubmissionWizard() {
+    if (submitDialog.hidden) return;
+    submitDialog.classList.remove('active');
+    submitDialog.hidden = true;
+    enableBodyScroll();
+    if (submissionState.returnFocusElement?.isConnected) submissionState.returnFocusElement.focus();
+}
+
+function resetSubmission() {
+    if (submissionState?.splashPreviewUrl) URL.revokeObjectURL(submissionState.splashPreviewUrl);
+    submissionState = {
+        step: SUBMISSION_STEPS[0].id,
+        isIdEdited: false, // Until the ID is typed in, it follows the name
+        splashFile: null,
+        splashPreviewUrl: null,
+        modelFile: null,
+        modelSha256: null,
+        modelError: null,
+        returnFocusElement: submissionState?.returnFocusElement || null
+    };
+    submitDialog.querySelector('.submit-form').innerHTML = generateSubmissionFormHTML();
+    renderSubmissionGameFields();
+}
+
+// --- FORM ---
+function generateSubmissionFormHTML() {
+    const today = new Date().toISOString().slice(0, 10);
+    return `
+        <ol class="submit-steps">
+            ${SUBMISSION_STEPS.map((step, index) => `
+                <li><button type="button" class="submit-step-btn" data-submit-action="goto" data-step="${step.id}">${index + 1}. ${t(step.label)}</button></li>`).join('')}
+        </ol>
+
+        <fieldset class="submit-step" data-step="details">
+            <legend class="visually-hidden">${t('Details')}</legend>
+            <div class="submit-field-grid">
+                <label class="submit-field">${t('Game')}
+                    <select name="game">
+                        ${Object.entries(GAMES).map(([gameId, game]) => `<option value="${gameId}">${escapeHTML(game.name)}</option>`).join('')}
+                    </select>
+                </label>
+                <label class="submit-field">${t('Name')}
+                    <input type="text" name="name" required autocomplete="off">
+                </label>
+                <label class="submit-field">${t('ID')}
+                    <input type="text" name="id" required autocomplete="off" spellcheck="false" aria-describedby="submit-id-hint">
+                    <small id="submit-id-hint">${t('Lowercase letters, digits and dashes. Also the folder name.')}</small>
+                </label>
+                <label class="submit-field">${t('Rarity')}
+                    <select name="rarity">
+                        ${[5, 4, 3, 2, 1].map(rarity => `<option value="${rarity}">${rarity}★</option>`).join('')}
+                    </select>
+                </label>
+                <div class="submit-game-fields"></div>
+                <label class="submit-field">${t('Uploader')}
+                    <input type="text" name="uploader" list="submit-uploader-values" required autocomplete="off" aria-describedby="submit-uploader-hint">
+                    <datalist id="submit-uploader-values">
+                        ${Array.from(uploadersById.values()).map(uploader => `<option value="${escapeHTML(uploader.id)}">${escapeHTML(uploader.name)}</option>`).join('')}
+                    </datalist>
+                    <small id="submit-uploader-hint">${t('Your uploader ID from uploaders.json. First upload? Add yourself there in the same commit.')}</small>
+                </label>
+                <label class="submit-field">${t('Upload date')}
+                    <input type="date" name="uploadDate" value="${today}" required>
+                </label>
+            </div>
+            <label class="submit-field">${t('Description')}
+                <textarea name="description" rows="3"></textarea>
+            </label>
+            <label class="submit-field">${t('Model info')}
+                <textarea name="modelInfo" rows="4" aria-describedby="submit-modelinfo-hint"></textarea>
+                <small id="submit-modelinfo-hint">${t('How the model was dumped and what is needed to use it. Supports **bold**, *italic*, `code`, [links](https://example.com) and "- " lists.')}</small>
+            </label>
+        </fieldset>
+
+        <fieldset class="submit-step" data-step="files" hidden>
+            <legend class="visually-hidden">${t('Files and inclusions')}</legend>
+            <div class="submit-field-grid">
+                <label class="submit-dropzone" data-file-kind="splash">
+                    <input type="file" name="splash" accept="${Object.keys(SUBMISSION_SPLASH_TYPES).join(',')}" class="visually-hidden">
+                    <img class="submit-splash-preview" alt="${t('Splash image preview')}" hidden>
+                    <span class="submit-dropzone-label"><strong>${t('Splash image')}</strong> ${t('Drop a PNG, JPG or WebP here or click to choose')}</span>
+                </label>
+                <label class="submit-dropzone" data-file-kind="model">
+                    <input type="file" name="model" accept=".zip,application/zip" class="visually-hidden">
+                    <span class="submit-dropzone-label"><strong>${t('Model ZIP')}</strong> ${t('Drop the archive here or click to choose')}</span>
+                </label>
+            </div>
+            <p class="submit-detect-status" aria-live="polite"></p>
+            <h3 class="submit-section-title">${t('Inclusions')}</h3>
+            <p class="submit-note">${t('One row per part. Hashes found in the archive are added automatically; give each a name.')}</p>
+            <div class="submit-inclusions"></div>
+            <button type="button" class="action-btn viewer-btn" data-submit-action="add-inclusion">${t('Add Inclusion')}</button>
+        </fieldset>
+
+        <fieldset class="submit-step" data-step="review" hidden>
+            <legend class="visually-hidden">${t('Review and export')}</legend>
+            <div class="submit-review"></div>
+        </fieldset>
+
+        <ul class="data-report-list submit-step-issues" aria-live="polite"></ul>
+
+        <div class="submit-nav">
+            <button type="button" class="action-btn viewer-btn" data-submit-action="reset">${t('Start Over')}</button>
+            <span class="submit-nav-spacer"></span>
+            <button type="button" class="action-btn viewer-btn" data-submit-action="back">${t('Back')}</button>
+            <button type="button" class="action-btn submit-next-btn" data-submit-action="next">${t('Next')}</button>
+        </div>`;
+}
+
+/**
+ * Inputs for the classification fields the selected game uses, suggesting its vocabulary.
+ */
+function renderSubmissionGameFields() {
+    const form = submitDialog.querySelector('.submit-form');
+    const container = form.querySelector('.submit-game-fields');
+    const gameId = form.elements.game.value;
+    const previousValues = Object.fromEntries(GAME_FIELDS.map(field => [field, form.elements[field]?.value || '']));
+
+    container.innerHTML = GAME_FIELDS.filter(field => getGame(gameId)?.fields[field]).map(field => `
+        <label class="submit-field">${escapeHTML(t(getGameFieldLabel(gameId, field)))}
+            <input type="text" name="${field}" list="submit-${field}-values" autocomplete="off" value="${escapeHTML(previousValues[field])}">
+            <datalist id="submit-${field}-values">
+                ${getGame(gameId).fields[field].values.map(value => `<option value="${escapeHTML(value)}"></option>`).join('')}
+            </datalist>
+        </label>`).join('');
+}
+
+function generateInclusionRowHTML({ id = '', name = '', description = '' } = {}, fileCount = null) {
+    return `
+        <div class="submit-inclusion">
+            <input type="text" name="inclusionId" value="${escapeHTML(id)}" placeholder="${t('Hash')}" aria-label="${t('Inclusion hash')}" spellcheck="false">
+            <input type="text" name="inclusionName" value="${escapeHTML(name)}" placeholder="${escapeHTML(t('Name, e.g. Skirk\'s Body'))}" aria-label="${t('Inclusion name')}">
+            <input type="text" name="inclusionDescription" value="${escapeHTML(description)}" placeholder="${t('Description (optional)')}" aria-label="${t('Inclusion description')}">
+            ${fileCount !== null ? `<small class="submit-inclusion-files">${tn('{count} file', '{count} files', fileCount)}</small>` : ''}
+            <button type="button" class="action-btn viewer-btn" data-submit-action="remove-inclusion" aria-label="${t('Remove inclusion')}">✕</button>
+        </div>`;
+}
+
+function slugifyCharacterId(name) {
+    return name.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+// --- FILES ---
+async function handleSubmissionFile(kind, file) {
+    const dropzone = submitDialog.querySelector(`.submit-dropzone[data-file-kind="${kind}"]`);
+    const label = dropzone.querySelector('.submit-dropzone-label');
+    label.innerHTML = `<strong>${kind === 'splash' ? t('Splash image') : t('Model ZIP')}</strong> ${escapeHTML(file.name)} (${formatBytes(file.size)})`;
+    dropzone.classList.add('has-file');
+
+    if (kind === 'splash') {
+        if (submissionState.splashPreviewUrl) URL.revokeObjectURL(submissionState.splashPreviewUrl);
+        submissionState.splashFile = file;
+        submissionState.splashPreviewUrl = SUBMISSION_SPLASH_TYPES[file.type] ? URL.createObjectURL(file) : null;
+        const preview = dropzone.querySelector('.submit-splash-preview');
+        preview.hidden = !submissionState.splashPreviewUrl;
+        if (submissionState.splashPreviewUrl) preview.src = submissionState.splashPreviewUrl;
+        return;
+    }
+
+    const status = submitDialog.querySelector('.submit-detect-status');
+    Object.assign(submissionState, { modelFile: file, modelSha256: null, modelError: null });
+    status.textContent = t('Reading the archive...');
+
+    try {
+        const zip = await JSZip.loadAsync(file);
+        const detected = await detectArchiveInclusions(zip);
+        const sha256 = window.crypto?.subtle ? await computeSha256(file) : null;
+        if (submissionState.modelFile !== file) return; // Another file was chosen meanwhile
+
+        submissionState.modelSha256 = sha256;
+        const list = submitDialog.querySelector('.submit-inclusions');
+        const listedIds = new Set(Array.from(list.querySelectorAll('[name="inclusionId"]'), input => input.value.trim().toLowerCase()));
+        const added = detected.filter(inclusion => !listedIds.has(inclusion.hash));
+        list.insertAdjacentHTML('beforeend', added.map(inclusion => generateInclusionRowHTML({ id: inclusion.hash, name: inclusion.name }, inclusion.files.length)).join(''));
+
+        const fileCount = getZipFileEntries(zip).length;
+        const files = tn('{count} file', '{count} files', fileCount);
+        status.textContent = detected.length
+            ? tn('Found {count} part hash in {files}; {added} added to the inclusions.', 'Found {count} part hashes in {files}; {added} added to the inclusions.', detected.length, { files, added: formatNumber(added.length) })
+            : t('Found no part hashes in {files}. Add the inclusions by hand.', { files });
+    } catch (error) {
+        if (submissionState.modelFile !== file) return;
+        console.error(`Failed to read ${file.name}:`, error);
+        submissionState.modelError = t('"{file}" could not be read as a ZIP archive ({error})', { file: file.name, error: error.message });
+        status.textContent = submissionState.modelError;
+    }
+}
+
+function handleSubmissionDragOver(e) {
+    const dropzone = e.target.closest('.submit-dropzone');
+    if (!dropzone) return;
+    e.preventDefault();
+    dropzone.classList.add('dragging');
+}
+
+function handleSubmissionDrop(e) {
+    const dropzone = e.target.closest('.submit-dropzone');
+    if (!dropzone) return;
+    e.preventDefault();
+    dropzone.classList.remove('dragging');
+    const file = e.dataTransfer?.files?.[0];
+    if (file) handleSubmissionFile(dropzone.dataset.fileKind, file);
+}
+
+// --- VALIDATION ---
+/**
+ * The character entry as it will be written to characters/<id>/character.json.
+ */
+function buildSubmissionCharacter() {
+    const data = new FormData(submitDialog.querySelector('.submit-form'));
+    const text = (name) => String(data.get(name) ?? '').trim();
+    const id = text('id');
+
+    const character = { id, game: text('game'), name: text('name'), rarity: Number(text('rarity')) };
+    GAME_FIELDS.forEach(field => {
+        if (text(field)) character[field] = text(field);
+    });
+    if (text('description')) character.description = text('description');
+    if (text('modelInfo')) character.modelInfo = text('modelInfo');
+
+    const inclusionNames = data.getAll('inclusionName');
+    const inclusionDescriptions = data.getAll('inclusionDescription');
+    const inclusions = data.getAll('inclusionId')
+        .map((inclusionId, index) => ({
+            id: String(inclusionId).trim().toLowerCase(),
+            name: String(inclusionNames[index]).trim(),
+            description: String(inclusionDescriptions[index]).trim()
+        }))
+        .filter(inclusion => inclusion.id || inclusion.name || inclusion.description)
+        .map(({ description, ...inclusion }) => (description ? { ...inclusion, description } : inclusion));
+    if (inclusions.length) character.inclusions = inclusions;
+
+    const splashExtension = SUBMISSION_SPLASH_TYPES[submissionState.splashFile?.type] || 'png';
+    character.assets = { splashImage: `characters/${id}/splash.${splashExtension}`, modelDownload: `characters/${id}/model.zip` };
+    if (submissionState.modelSha256) character.assets.modelSha256 = submissionState.modelSha256;
+    character.meta = { uploader: text('uploader'), uploadDate: text('uploadDate') };
+    return character;
+}
+
+/**
+ * Schema and data check issues for the entry plus checks on the chosen files, as `{ severity, path, message }`.
+ */
+function getSubmissionIssues(character) {
+    const issues = [...getCharacterSchemaIssues(character, dataSchema), ...lintCharacter(character, new Set(), new Set(uploadersById.keys()))];
+
+    const existing = characters.find(c => String(c.id) === character.id);
+    if (existing) {
+        issues.push({ severity: 'error', path: 'id', message: t('"{id}" is already used by {name}', { id: character.id, name: existing.name }) });
+    }
+
+    const { splashFile, modelFile, modelError } = submissionState;
+    if (!splashFile) {
+        issues.push({ severity: 'error', path: 'assets.splashImage', message: t('choose a splash image') });
+    } else if (!SUBMISSION_SPLASH_TYPES[splashFile.type]) {
+        issues.push({ severity: 'error', path: 'assets.splashImage', message: t('"{file}" is not a PNG, JPG or WebP image', { file: splashFile.name }) });
+    } else if (splashFile.size > SUBMISSION_SPLASH_MAX_SIZE) {
+        issues.push({ severity: 'warning', path: 'assets.splashImage', message: t('the splash image is {size}; keep it under {limit} so the grid loads quickly', { size: formatBytes(splashFile.size), limit: formatBytes(SUBMISSION_SPLASH_MAX_SIZE) }) });
+    }
+
+    if (!modelFile) {
+        issues.push({ severity: 'error', path: 'assets.modelDownload', message: t('choose the model ZIP') });
+    } else if (modelError) {
+        issues.push({ severity: 'error', path: 'assets.modelDownload', message: modelError });
+    }
+
+    if (!character.inclusions) {
+        issues.push({ severity: 'warning', path: 'inclusions', message: t('no inclusions are listed') });
+    }
+    return issues;
+}
+
+function getSubmissionIssueStep(issue) {
+    return /^(?:inclusions|assets)\b/.test(issue.path) ? 'files' : 'details';
+}
+
+/**
+ * The form control an issue path refers to, e.g. `meta.uploader` or `inclusions[2].name`.
+ */
+function getSubmissionFieldForIssue(issue) {
+    const form = submitDialog.querySelector('.submit-form');
+    const inclusionMatch = issue.path.match(/^inclusions\[(\d+)\]\.(id|name|description)/);
+    if (inclusionMatch) {
+        const fieldName = `inclusion${inclusionMatch[2][0].toUpperCase()}${inclusionMatch[2].slice(1)}`;
+        return form.querySelectorAll(`[name="${fieldName}"]`)[Number(inclusionMatch[1])] || null;
+    }
+    const fieldName = { 'assets.splashImage': 'splash', 'assets.modelDownload': 'model' }[issue.path] || issue.path.split('.').pop();
+    return form.elements[fieldName] || null;
+}
+
+function generateSubmissionIssuesHTML(issues) {
+    return issues.map(issue => `
+        <li class="data-report-item data-report-${issue.severity}">
+            <span class="data-report-severity">${issue.severity === 'error' ? t('error') : t('warning')}</span>
+            <code>${escapeHTML(issue.path)}</code>
+            ${escapeHTML(issue.message)}
+        </li>`).join('');
+}
+
+// --- STEPS ---
+function showSubmissionStep(stepId) {
+    submissionState.step = stepId;
+    const stepIndex = SUBMISSION_STEPS.findIndex(step => step.id === stepId);
+
+    submitDialog.querySelectorAll('.submit-step').forEach(fieldset => {
+        fieldset.hidden = fieldset.dataset.step !== stepId;
+    });
+    submitDialog.querySelectorAll('.submit-step-btn').forEach(button => {
+        if (button.dataset.step === stepId) button.setAttribute('aria-current', 'step');
+        else button.removeAttribute('aria-current');
+    });
+    submitDialog.querySelector('[data-submit-action="back"]').hidden = stepIndex === 0;
+    submitDialog.querySelector('[data-submit-action="next"]').hidden = stepIndex === SUBMISSION_STEPS.length - 1;
+    submitDialog.querySelector('.submit-step-issues').innerHTML = '';
+    submitDialog.querySelectorAll('[aria-invalid]').forEach(field => field.removeAttribute('aria-invalid'));
+
+    if (stepId === 'review') renderSubmissionReview();
+    submitDialog.querySelector(`.submit-step[data-step="${stepId}"]`).querySelector('input, select, textarea, button')?.focus();
+}
+
+/**
+ * Moves to the next step unless the current one has errors, which are listed and marked instead.
+ */
+function goToNextSubmissionStep() {
+    const stepIndex = SUBMISSION_STEPS.findIndex(step => step.id === submissionState.step);
+    const errors = getSubmissionIssues(buildSubmissionCharacter())
+        .filter(issue => issue.severity === 'error' && getSubmissionIssueStep(issue) === submissionState.step);
+
+    if (errors.length === 0) {
+        showSubmissionStep(SUBMISSION_STEPS[stepIndex + 1].id);
+        return;
+    }
+
+    submitDialog.querySelector('.submit-step-issues').innerHTML = generateSubmissionIssuesHTML(errors);
+    const fields = errors.map(getSubmissionFieldForIssue).filter(Boolean)
+        .sort((a, b) => (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+    fields.forEach(field => field.setAttribute('aria-invalid', 'true'));
+    fields[0]?.focus();
+}
+
+function renderSubmissionReview() {
+    const character = buildSubmissionCharacter();
+    const issues = getSubmissionIssues(character);
+    const hasErrors = issues.some(issue => issue.severity === 'error');
+
+    submitDialog.querySelector('.submit-review').innerHTML = `
+        ${issues.length ? `<ul class="data-report-list">${generateSubmissionIssuesHTML(issues)}</ul>` : `<p class="submit-note">${t('No problems found.')}</p>`}
+        <h3 class="submit-section-title">characters/${escapeHTML(character.id || '<id>')}/character.json</h3>
+        <pre class="submit-json"><code>${escapeHTML(JSON.stringify(character, null, 2))}</code></pre>
+        <p class="submit-note">${t('The folder ZIP holds character.json, the splash image and model.zip. Unzip it into the repository root, run {command} and open a pull request.', { command: '<code>node scripts/build-index.js</code>' })}</p>
+        <div class="submit-export-actions">
+            <button type="button" class="action-btn viewer-btn" data-submit-action="copy-json">${t('Copy JSON')}</button>
+            <button type="button" class="action-btn download-btn" data-submit-action="export"${hasErrors ? ' disabled' : ''}>${t('Download Folder ZIP')}</button>
+        </div>`;
+}
+
+async function exportSubmission(button) {
+    const character = buildSubmissionCharacter();
+    if (getSubmissionIssues(character).some(issue => issue.severity === 'error')) {
+        renderSubmissionReview();
+        return;
+    }
+
+    button.disabled = true;
+    try {
+        const zip = new JSZip();
+        const folder = zip.folder(`characters/${character.id}`);
+        folder.file('character.json', `${JSON.stringify(character, null, 2)}\n`);
+        folder.file(character.assets.splashImage.split('/').pop(), submissionState.splashFile);
+        folder.file('model.zip', submissionState.modelFile);
+        triggerBlobDownload(await zip.generateAsync({ type: 'blob' }), `${character.id}-submission.zip`);
+        showNotification(t('Created the folder for {name}.', { name: character.name }), 'success');
+    } catch (error) {
+        console.error('Failed to build the submission ZIP:', error);
+        showNotification(t('Could not build the submission ZIP. Check console for errors.'), 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+async function copySubmissionJson() {
+    const json = JSON.stringify(buildSubmissionCharacter(), null, 2);
+    try {
+        await navigator.clipboard.writeText(json);
+        showNotification(t('Copied the character JSON.'), 'success');
+    } catch (error) {
+        // Clipboard access can be blocked (e.g. outside HTTPS); select the text for a manual copy
+        const code = submitDialog.querySelector('.submit-json code');
+        window.getSelection().selectAllChildren(code);
+        showNotification(t('Copying was blocked; the JSON is selected so you can copy it yourself.'), 'info');
+    }
+}
+
+// --- EVENTS ---
+function handleSubmissionClick(e) {
+    if (e.target === submitDialog) {
+        closeSubmissionWizard(); // Click on the backdrop
+        return;
+    }
+    const button = e.target.closest('[data-submit-action]');
+    if (!button) return;
+
+    switch (button.dataset.submitAction) {
+        case 'close': closeSubmissionWizard(); break;
+        case 'goto': showSubmissionStep(button.dataset.step); break;
+        case 'next': goToNextSubmissionStep(); break;
+        case 'back': showSubmissionStep(SUBMISSION_STEPS[SUBMISSION_STEPS.findIndex(step => step.id === submissionState.step) - 1].id); break;
+        case 'reset':
+            resetSubmission();
+            showSubmissionStep(submissionState.step);
+            break;
+        case 'add-inclusion': {
+            const list = submitDialog.querySelector('.submit-inclusions');
+            list.insertAdjacentHTML('beforeend', generateInclusionRowHTML());
+            list.lastElementChild.querySelector('input').focus();
+            break;
+        }
+        case 'remove-inclusion': button.closest('.submit-inclusion').remove(); break;
+        case 'copy-json': copySubmissionJson(); break;
+        case 'export': exportSubmission(button); break;
+    }
+}
+
+function handleSubmissionInput(e) {
+    const form = submitDialog.querySelector('.submit-form');
+    e.target.removeAttribute('aria-invalid');
+    if (e.target.name === 'id') {
+        submissionState.isIdEdited = e.target.value.trim() !== '';
+    } else if (e.target.name === 'name' && !submissionState.isIdEdited) {
+        form.elements.id.value = slugifyCharacterId(e.target.value);
+    }
+}
+
+function handleSubmissionChange(e) {
+    if (e.target.name === 'game') {
+        renderSubmissionGameFields();
+    } else if (e.target.type === 'file' && e.target.files[0]) {
+        handleSubmissionFile(e.target.closest('.submit-dropzone').dataset.fileKind, e.target.files[0]);
+    }
+}
+
+function handleSubmissionKeydown(e) {
+    e.stopPropagation(); // The page's shortcuts don't apply while the dialog is open
+    if (e.key === KEY_ESCAPE) {
+        closeSubmissionWizard();
+    } else {
+        trapDialogFocus(submitDialog, e);
+    }
+}
@@ -0,0 +1,109 @@
+// --- THEMES ---
+// Colours come from the custom properties at the top of styles.css. A theme overrides them
+// through data-theme on <html>; "system" follows prefers-color-scheme. data-accent gives cards
+// (and element badges) the colour of their game or element instead of the theme's accent.
+// Unlike the other scripts this one is loaded without defer, so the saved theme is applied
+// before the first paint instead of flashing the dark default.
+
+const THEMES = {
+    system: { label: 'System theme' },
+    dark: { label: 'Dark' },
+    light: { label: 'Light' },
+    'high-contrast': { label: 'High contrast' }
+};
+const ACCENTS = {
+    theme: { label: 'Theme accent' },
+    game: { label: 'Game colors' },
+    element: { label: 'Element colors' }
+};
+const THEME_STORAGE_KEY = 'hoyarchive-theme';
+const DEFAULT_THEME_PREFERENCE = { theme: 'system', accent: 'theme' };
+const LIGHT_SCHEME_QUERY = '(prefers-color-scheme: light)';
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+let themePreference = loadThemePreference();
+applyTheme();
+
+function loadThemePreference() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(THEME_STORAGE_KEY)) || {};
+        return {
+            theme: THEMES[stored.theme] ? stored.theme : DEFAULT_THEME_PREFERENCE.theme,
+            accent: ACCENTS[stored.accent] ? stored.accent : DEFAULT_THEME_PREFERENCE.accent
+        };
+    } catch (error) {
+        return { ...DEFAULT_THEME_PREFERENCE }; // Blocked storage or an unreadable value
+    }
+}
+
+function saveThemePreference() {
+    try {
+        localStorage.setItem(THEME_STORAGE_KEY, JSON.stringify(themePreference));
+    } catch (error) {
+        showNotification(t('The theme could not be saved in this browser, so it only applies until the page is reloaded.'), 'error');
+    }
+}
+
+function matchesMediaQuery(query) {
+    return Boolean(window.matchMedia?.(query).matches);
+}
+
+function applyTheme() {
+    const root = document.documentElement;
+    const { theme, accent } = themePreference;
+    root.dataset.theme = theme === 'system' ? (matchesMediaQuery(LIGHT_SCHEME_QUERY) ? 'light' : 'dark') : theme;
+    if (accent === DEFAULT_THEME_PREFERENCE.accent) {
+        delete root.dataset.accent;
+    } else {
+        root.dataset.accent = accent;
+    }
+}
+
+/**
+ * Whether motion should be kept to a minimum. styles.css shortens the transitions itself; this is
+ * for animations started from script.
+ */
+function prefersReducedMotion() {
+    return matchesMediaQuery(REDUCED_MOTION_QUERY);
+}
+
+/**
+ * `element-<name>` class for an element value (e.g. "element-cryo"), which sets --element-color.
+ */
+function getElementClassName(element) {
+    return `element-${String(element).toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+}
+
+/**
+ * Classes that give a card the colours of its game and element.
+ */
+function getCharacterAccentClassNames(character) {
+    return [
+        getGame(character.game) ? `game-${character.game}` : '',
+        character.element ? getElementClassName(character.element) : ''
+    ].filter(Boolean).join(' ');
+}
+
+// --- THEME PICKER ---
+function initializeThemePicker() {
+    const pickers = [
+        [document.getElementById('themeSelect'), THEMES, 'theme'],
+        [document.getElementById('accentSelect'), ACCENTS, 'accent']
+    ];
+    pickers.forEach(([picker, options, key]) => {
+        if (!picker) return;
+        picker.innerHTML = Object.entries(options)
+            .map(([value, { label }]) => `<option value="${value}"${value === themePreference[key] ? ' selected' : ''}>${escapeHTML(t(label))}</option>`)
+            .join('');
+        picker.addEventListener('change', () => {
+            themePreference = { ...themePreference, [key]: picker.value };
+            saveThemePreference();
+            applyTheme();
+        });
+    });
+
+    // Follows the system while "System theme" is chosen
+    window.matchMedia?.(LIGHT_SCHEME_QUERY).addEventListener?.('change', () => {
+        if (themePreference.theme === 'system') applyTheme();
+    });
+}
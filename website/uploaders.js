@@ -0,0 +1,158 @@
+// --- UPLOADERS ---
+// Profiles from the `uploaders` registry in data.json (copied from uploaders.json). Characters
+// reference an uploader by ID in meta.uploader, and the uploader's roles add the badges defined in
+// the `roles` list. A profile opens as a dialog with its own URL (?profile=<id>).
+
+const uploaderDialog = document.getElementById('uploaderDialog');
+
+let uploadersById = new Map();
+let rolesById = new Map();
+let uploaderReturnFocusElement = null;
+
+function setUploaderRegistry(uploaders, roles) {
+    uploadersById = new Map(uploaders.map(uploader => [uploader.id, uploader]));
+    rolesById = new Map(roles.map(role => [role.id, role]));
+}
+
+function initializeUploaderProfiles() {
+    document.addEventListener('click', (e) => {
+        const link = e.target.closest('.uploader-link[data-uploader-id]');
+        if (link) openUploaderProfile(link.dataset.uploaderId, link);
+    });
+    if (!uploaderDialog) return;
+    uploaderDialog.addEventListener('click', handleUploaderDialogClick);
+    uploaderDialog.addEventListener('keydown', handleUploaderDialogKeydown);
+}
+
+/**
+ * The registry entry of a character's uploader, or null for free-text uploaders.
+ */
+function getCharacterUploader(character) {
+    return uploadersById.get(character.meta?.uploader) || null;
+}
+
+function getUploaderCharacters(uploaderId) {
+    return characters
+        .filter(character => character.meta?.uploader === uploaderId)
+        .sort((a, b) => compareText(getLastUpdateDate(b), getLastUpdateDate(a)) || compareText(a.name, b.name));
+}
+
+/**
+ * Badges for the uploader's roles. Roles with an icon show only the icon unless `showLabels`.
+ */
+function generateRoleBadgesHTML(uploader, { showLabels = false } = {}) {
+    return (Array.isArray(uploader?.roles) ? uploader.roles : [])
+        .map(roleId => rolesById.get(roleId))
+        .filter(Boolean)
+        .map(role => {
+            const title = role.description ? `${role.label}: ${role.description}` : role.label;
+            const isIconOnly = role.icon && !showLabels;
+            return `<span class="uploader-role role-${escapeHTML(role.id)}" title="${escapeHTML(title)}"${isIconOnly ? ` role="img" aria-label="${escapeHTML(role.label)}"` : ''}>${role.icon ? `<span aria-hidden="true">${escapeHTML(role.icon)}</span>` : ''}${isIconOnly ? '' : ` ${escapeHTML(role.label)}`}</span>`;
+        })
+        .join('');
+}
+
+/**
+ * The uploader as shown in the overlay: a profile link with role badges, or the free text.
+ */
+function generateUploaderHTML(character) {
+    const uploader = getCharacterUploader(character);
+    if (!uploader) return renderRichText(character.meta?.uploader, { inline: true });
+    return `<button type="button" class="uploader-link" data-uploader-id="${escapeHTML(uploader.id)}" title="${escapeHTML(t('Show all uploads by {name}', { name: uploader.name }))}">${escapeHTML(uploader.name)}</button> ${generateRoleBadgesHTML(uploader)}`;
+}
+
+// --- PROFILE DIALOG ---
+function openUploaderProfile(uploaderId, triggerElement) {
+    const uploader = uploadersById.get(uploaderId);
+    if (!uploader || !uploaderDialog) {
+        showNotification(t('No uploader with ID "{id}" was found.', { id: uploaderId }), 'error');
+        return;
+    }
+
+    uploaderReturnFocusElement = triggerElement || document.activeElement;
+    openUploaderId = uploader.id;
+    updateUrlState();
+
+    uploaderDialog.querySelector('.uploader-profile').innerHTML = generateUploaderProfileHTML(uploader);
+    uploaderDialog.hidden = false;
+    requestAnimationFrame(() => uploaderDialog.classList.add('active'));
+    disableBodyScroll();
+    uploaderDialog.querySelector('.uploader-dialog-panel').focus();
+}
+
+function closeUploaderProfile() {
+    if (!uploaderDialog || uploaderDialog.hidden) return;
+    openUploaderId = null;
+    updateUrlState();
+
+    uploaderDialog.classList.remove('active');
+    uploaderDialog.hidden = true;
+    if (characterDetailOverlay.hidden) enableBodyScroll(); // Opened from the overlay, which still needs it off
+    if (uploaderReturnFocusElement?.isConnected) uploaderReturnFocusElement.focus();
+}
+
+function generateUploaderProfileHTML(uploader) {
+    const uploads = getUploaderCharacters(uploader.id);
+    const uploadDates = uploads.map(character => character.meta?.uploadDate).filter(Boolean).sort();
+
+    return `
+        <h2 id="uploader-dialog-heading">${escapeHTML(uploader.name)}</h2>
+        ${uploader.roles?.length ? `<p class="uploader-roles">${generateRoleBadgesHTML(uploader, { showLabels: true })}</p>` : ''}
+        <p class="submit-note">
+            ${escapeHTML(tn('{count} upload', '{count} uploads', uploads.length))}${uploadDates.length ? ` · ${t('since {date}', { date: generateDateHTML(uploadDates[0]) })}` : ''}
+        </p>
+        ${generateLinksHTML(uploader.links)}
+        ${uploads.length ? `
+            <div class="uploader-actions">
+                <button type="button" class="action-btn viewer-btn" data-uploader-action="filter">${t('Show in Grid')}</button>
+            </div>
+            <ul class="whats-new-list">
+                ${uploads.map(character => `
+                    <li>
+                        <button type="button" class="whats-new-item" data-uploader-character-id="${escapeHTML(character.id)}">
+                            <img src="${escapeHTML(sanitizeUrl(character.assets?.splashImage) || 'characters/generic/splash.png')}" alt="" loading="lazy">
+                            <span class="whats-new-text">
+                                <span class="whats-new-name">${escapeHTML(character.name)}</span>
+                                <span class="character-meta">${generateCharacterBadgesHTML(character)}</span>
+                                <span class="whats-new-meta">${generateDateHTML(getLastUpdateDate(character))}</span>
+                            </span>
+                        </button>
+                    </li>`).join('')}
+            </ul>` : `<p class="compare-note">${t('No uploads are shown yet.')}</p>`}`;
+}
+
+// --- EVENTS ---
+function handleUploaderDialogClick(e) {
+    if (e.target === uploaderDialog || e.target.closest('[data-uploader-action="close"]')) {
+        closeUploaderProfile(); // Close button or click on the backdrop
+        return;
+    }
+
+    const characterButton = e.target.closest('[data-uploader-character-id]');
+    if (characterButton) {
+        const characterId = characterButton.dataset.uploaderCharacterId;
+        uploaderReturnFocusElement = null; // The overlay takes the focus
+        closeUploaderProfile();
+        showCharacterDetailOverlay(characterId);
+        return;
+    }
+
+    if (e.target.closest('[data-uploader-action="filter"]')) {
+        const uploader = uploadersById.get(openUploaderId);
+        uploaderReturnFocusElement = null;
+        closeUploaderProfile();
+        if (!characterDetailOverlay.hidden) closeCharacterDetailOverlay();
+        currentFilters.uploader = [uploader.name];
+        populateDynamicDropdowns(); // Shows the selection in the Uploader dropdown
+        applyFilters({ replaceHistory: true });
+    }
+}
+
+function handleUploaderDialogKeydown(e) {
+    e.stopPropagation(); // The page's shortcuts don't apply while the dialog is open
+    if (e.key === KEY_ESCAPE) {
+        closeUploaderProfile();
+    } else {
+        trapDialogFocus(uploaderDialog, e);
+    }
+}
@@ -0,0 +1,288 @@
+// --- DATA VALIDATION ---
+// Checks data.json against website/character.schema.json plus a few rules JSON Schema can't
+// express (unique ids, assets living in the character's own folder, known uploaders and roles). Characters with errors are
+// skipped, warnings are only reported. Only the schema keywords used by our schema are supported.
+
+const DATA_SCHEMA_PATH = 'website/character.schema.json';
+const HIDDEN_CHARACTER_STATUSES = ['draft', 'template'];
+const SCHEMA_WARNING_KEYWORDS = ['additionalProperties']; // Unknown fields don't make an entry unusable
+
+function resolveSchemaRef(ref, rootSchema) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported schema reference: ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => node?.[key], rootSchema);
+}
+
+function getJsonType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function isValidIsoDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function formatSchemaPath(path) {
+    return path.replace(/^\./, '') || '(root)';
+}
+
+/**
+ * Validates `value` against `schema`, pushing `{ path, message, keyword }` objects into `issues`.
+ */
+function validateAgainstSchema(value, schema, rootSchema, path = '', issues = []) {
+    if (!schema) return issues;
+    if (schema.$ref) {
+        return validateAgainstSchema(value, resolveSchemaRef(schema.$ref, rootSchema), rootSchema, path, issues);
+    }
+    const report = (keyword, message) => issues.push({ path: formatSchemaPath(path), keyword, message });
+
+    if (schema.type) {
+        const allowedTypes = Array.isArray(schema.type) ? schema.type : [schema.type];
+        const actualType = getJsonType(value);
+        const typeMatches = allowedTypes.includes(actualType) || (actualType === 'integer' && allowedTypes.includes('number'));
+        if (!typeMatches) {
+            report('type', t('must be {types}, got {type}', { types: allowedTypes.join(t(' or ')), type: actualType }));
+            return issues; // Further checks would only repeat the same problem
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        report('enum', t('must be one of {values}', { values: schema.enum.map(v => JSON.stringify(v)).join(', ') }));
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            report('minLength', schema.minLength === 1 ? t('must not be empty') : tn('must be at least {count} character', 'must be at least {count} characters', schema.minLength));
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            report('pattern', t('"{value}" does not match {pattern}', { value, pattern: schema.pattern }));
+        }
+        if (schema.format === 'date' && !isValidIsoDate(value)) {
+            report('format', t('"{value}" is not an ISO date (YYYY-MM-DD)', { value }));
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) report('minimum', t('must be ≥ {minimum}, got {value}', { minimum: schema.minimum, value }));
+        if (schema.maximum !== undefined && value > schema.maximum) report('maximum', t('must be ≤ {maximum}, got {value}', { maximum: schema.maximum, value }));
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => validateAgainstSchema(item, schema.items, rootSchema, `${path}[${index}]`, issues));
+    }
+
+    if (getJsonType(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) report('required', t('missing required field "{field}"', { field: key }));
+        });
+        Object.entries(value).forEach(([key, child]) => {
+            if (schema.properties?.[key]) {
+                validateAgainstSchema(child, schema.properties[key], rootSchema, `${path}.${key}`, issues);
+            } else if (schema.additionalProperties === false) {
+                report('additionalProperties', t('unknown field "{field}"', { field: key }));
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateAgainstSchema(child, schema.additionalProperties, rootSchema, `${path}.${key}`, issues);
+            }
+        });
+    }
+    return issues;
+}
+
+/**
+ * Rules that need more context than a single value.
+ */
+function lintCharacter(character, seenIds, uploaderIds = null) {
+    const issues = [];
+    const id = character?.id;
+
+    if (id !== undefined && seenIds.has(String(id))) {
+        issues.push({ severity: 'error', path: 'id', message: t('duplicate id "{id}" (first used by an earlier entry)', { id }) });
+    }
+
+    if (typeof id === 'string') {
+        const assetPaths = [
+            ['assets.splashImage', character.assets?.splashImage],
+            ['assets.modelDownload', character.assets?.modelDownload],
+            ...(Array.isArray(character.assets?.gallery) ? character.assets.gallery.map((image, index) => [`assets.gallery[${index}].src`, image?.src]) : [])
+        ];
+        assetPaths.forEach(([path, assetPath]) => {
+            if (typeof assetPath === 'string' && !assetPath.startsWith(`characters/${id}/`)) {
+                issues.push({ severity: 'warning', path, message: t('"{path}" is outside {folder}', { path: assetPath, folder: `characters/${id}/` }) });
+            }
+        });
+    }
+
+    const inclusionIds = (Array.isArray(character?.inclusions) ? character.inclusions : []).map(inc => String(inc?.id).toLowerCase());
+    inclusionIds.forEach((inclusionId, index) => {
+        if (inclusionIds.indexOf(inclusionId) !== index) {
+            issues.push({ severity: 'warning', path: `inclusions[${index}].id`, message: t('inclusion id "{id}" is listed more than once', { id: inclusionId }) });
+        }
+    });
+
+    issues.push(...lintCharacterGameFields(character));
+
+    const uploadDate = character?.meta?.uploadDate;
+    if (typeof uploadDate === 'string' && isValidIsoDate(uploadDate) && new Date(`${uploadDate}T00:00:00Z`) > new Date()) {
+        issues.push({ severity: 'warning', path: 'meta.uploadDate', message: t('upload date {date} is in the future', { date: uploadDate }) });
+    }
+    issues.push(...lintCharacterVersions(character?.meta));
+
+    Object.keys(character?.translations || {}).forEach(locale => {
+        if (!I18N_LOCALES[locale]) {
+            issues.push({ severity: 'warning', path: `translations.${locale}`, message: t('"{locale}" is not a language of the site ({locales}), so it is never shown', { locale, locales: Object.keys(I18N_LOCALES).join(', ') }) });
+        }
+    });
+
+    const uploader = character?.meta?.uploader;
+    if (uploaderIds && typeof uploader === 'string' && uploader && !uploaderIds.has(uploader)) {
+        issues.push({ severity: 'warning', path: 'meta.uploader', message: t('"{uploader}" is not an uploader ID from uploaders.json, so it is shown as written, without a profile', { uploader }) });
+    }
+    return issues;
+}
+
+/**
+ * Checks that the update date and version history agree with each other and the upload date.
+ * Dates are ISO strings, so they compare as text.
+ */
+function lintCharacterVersions(meta) {
+    const issues = [];
+    const isDate = (value) => typeof value === 'string' && isValidIsoDate(value);
+    const { uploadDate, updatedDate } = meta || {};
+
+    if (isDate(updatedDate) && isDate(uploadDate) && updatedDate < uploadDate) {
+        issues.push({ severity: 'warning', path: 'meta.updatedDate', message: t('update date {updatedDate} is before the upload date {date}', { updatedDate, date: uploadDate }) });
+    }
+
+    const versions = Array.isArray(meta?.versions) ? meta.versions : [];
+    versions.forEach((version, index) => {
+        const previousDate = versions[index - 1]?.date;
+        if (isDate(version?.date) && isDate(previousDate) && version.date > previousDate) {
+            issues.push({ severity: 'warning', path: `meta.versions[${index}].date`, message: t('versions must be listed newest first') });
+        }
+        if (isDate(version?.date) && isDate(uploadDate) && version.date < uploadDate) {
+            issues.push({ severity: 'warning', path: `meta.versions[${index}].date`, message: t('revision date {revisionDate} is before the upload date {date}', { revisionDate: version.date, date: uploadDate }) });
+        }
+    });
+
+    const newestDate = versions[0]?.date;
+    if (isDate(newestDate) && newestDate > uploadDate && newestDate !== updatedDate) {
+        issues.push({ severity: 'warning', path: 'meta.updatedDate', message: t('should be {date}, the date of the newest version', { date: newestDate }) });
+    }
+    return issues;
+}
+
+/**
+ * Schema issues for a single character entry, with severities (see SCHEMA_WARNING_KEYWORDS).
+ */
+function getCharacterSchemaIssues(character, schema) {
+    if (!schema) return [];
+    return validateAgainstSchema(character, resolveSchemaRef('#/$defs/character', schema), schema).map(issue => ({
+        severity: SCHEMA_WARNING_KEYWORDS.includes(issue.keyword) ? 'warning' : 'error',
+        path: issue.path,
+        message: issue.message
+    }));
+}
+
+/**
+ * Checks the `roles` and `uploaders` lists of data.json and returns the usable entries as
+ * `{ roles, uploaders, issues }`. Entries with errors are left out, like skipped characters.
+ */
+function validateUploaderRegistry(data, schema) {
+    const result = { roles: [], uploaders: [], issues: [] };
+    const report = (severity, path, message) => result.issues.push({ severity, characterId: null, characterIndex: null, path, message });
+    const lists = [['roles', 'role', result.roles], ['uploaders', 'uploader', result.uploaders]];
+
+    lists.forEach(([listName, definitionName, validEntries]) => {
+        const entries = data?.[listName];
+        if (entries === undefined) return;
+        if (!Array.isArray(entries)) {
+            report('error', listName, t('must be an array'));
+            return;
+        }
+
+        const seenIds = new Set();
+        const definition = schema ? resolveSchemaRef(`#/$defs/${definitionName}`, schema) : null;
+        entries.forEach((entry, index) => {
+            const path = `${listName}[${index}]`;
+            const issues = validateAgainstSchema(entry, definition, schema, path).map(issue => ({
+                severity: SCHEMA_WARNING_KEYWORDS.includes(issue.keyword) ? 'warning' : 'error',
+                path: issue.path,
+                message: issue.message
+            }));
+            if (typeof entry?.id !== 'string' || entry.id === '') {
+                if (!schema) issues.push({ severity: 'error', path: `${path}.id`, message: t('missing required field "{field}"', { field: 'id' }) });
+            } else if (seenIds.has(entry.id)) {
+                issues.push({ severity: 'error', path: `${path}.id`, message: t('duplicate id "{id}"', { id: entry.id }) });
+            }
+            if (typeof entry?.id === 'string') seenIds.add(entry.id);
+
+            issues.forEach(issue => report(issue.severity, issue.path, issue.message));
+            if (!issues.some(issue => issue.severity === 'error')) validEntries.push(entry);
+        });
+    });
+
+    const roleIds = new Set(result.roles.map(role => role.id));
+    result.uploaders.forEach(uploader => {
+        (Array.isArray(uploader.roles) ? uploader.roles : []).forEach((roleId, index) => {
+            if (!roleIds.has(roleId)) {
+                report('warning', `uploaders[${data.uploaders.indexOf(uploader)}].roles[${index}]`, t('unknown role "{role}"', { role: roleId }));
+            }
+        });
+    });
+    return result;
+}
+
+/**
+ * Validates every character and sorts them into those to display, those hidden on purpose
+ * (drafts/templates) and those skipped because of errors. The uploader registry is checked too.
+ *
+ * Returns `{ characters, hidden, skipped, roles, uploaders, issues }` where each issue is
+ * `{ severity, characterId, characterIndex, path, message }`.
+ */
+function validateCharacterData(data, schema) {
+    const result = { characters: [], hidden: [], skipped: [], roles: [], uploaders: [], issues: [] };
+    const list = Array.isArray(data?.characters) ? data.characters : null;
+
+    if (!list) {
+        result.issues.push({ severity: 'error', characterId: null, characterIndex: null, path: 'characters', message: t('data.json must contain a "{field}" array', { field: 'characters' }) });
+        return result;
+    }
+
+    const registry = validateUploaderRegistry(data, schema);
+    result.roles = registry.roles;
+    result.uploaders = registry.uploaders;
+    result.issues.push(...registry.issues);
+    // Without a registry (older data), uploaders are free text and not checked
+    const uploaderIds = Array.isArray(data.uploaders) ? new Set(registry.uploaders.map(uploader => uploader.id)) : null;
+
+    const seenIds = new Set();
+
+    list.forEach((character, index) => {
+        if (character?.status === 'template') {
+            result.hidden.push(character); // Placeholder values are expected here
+            return;
+        }
+
+        const characterIssues = [...getCharacterSchemaIssues(character, schema), ...lintCharacter(character, seenIds, uploaderIds)];
+        if (character?.id !== undefined) seenIds.add(String(character.id));
+
+        characterIssues.forEach(issue => result.issues.push({
+            ...issue,
+            characterId: character?.id ?? null,
+            characterIndex: index
+        }));
+
+        if (characterIssues.some(issue => issue.severity === 'error')) {
+            result.skipped.push(character);
+        } else if (HIDDEN_CHARACTER_STATUSES.includes(character.status)) {
+            result.hidden.push(character);
+        } else {
+            result.characters.push(character);
+        }
+    });
+    return result;
+}
@@ -0,0 +1,612 @@
+// --- 3D MODEL VIEWER ---
+// Renders the meshes inside a character's model archive with three.js. The library and its loaders
+// are only fetched the first time someone asks for a preview, so the grid stays lightweight.
+
+const THREE_BASE_URL = 'https://cdn.jsdelivr.net/npm/three@0.147.0';
+const THREE_SCRIPT_URLS = [
+    `${THREE_BASE_URL}/build/three.min.js`,
+    `${THREE_BASE_URL}/examples/js/controls/OrbitControls.js`,
+    `${THREE_BASE_URL}/examples/js/loaders/OBJLoader.js`,
+    `${THREE_BASE_URL}/examples/js/loaders/GLTFLoader.js`,
+    `${THREE_BASE_URL}/examples/js/libs/fflate.min.js`,
+    `${THREE_BASE_URL}/examples/js/loaders/FBXLoader.js`
+];
+const VIEWER_MESH_EXTENSIONS = ['obj', 'gltf', 'glb', 'fbx', 'ib'];
+const VIEWER_TEXTURE_EXTENSIONS = ['dds', 'tga', 'png', 'jpg', 'jpeg'];
+const VIEWER_PART_COLORS = [0x8c5eff, 0xff67d7, 0x2ecc71, 0xffd700, 0x4fc3f7, 0xff8a65, 0xb8b8d0, 0x81c784];
+const MIGOTO_DEFAULT_POSITION_STRIDE = 40; // POSITION float3, NORMAL float3, TANGENT float4
+const HASH_PATTERN = /(?:^|[^0-9a-f])([0-9a-f]{8})(?![0-9a-f])/i;
+
+let activeModelViewer = null;
+
+async function loadThreeLibrary() {
+    for (const src of THREE_SCRIPT_URLS) {
+        await loadScriptOnce(src);
+    }
+    if (typeof THREE === 'undefined' || !THREE.OrbitControls) {
+        throw new Error('3D library (three.js) failed to initialize.');
+    }
+}
+
+// --- ARCHIVE INSPECTION ---
+function getZipFileEntries(zip) {
+    return Object.values(zip.files).filter(entry => !entry.dir);
+}
+
+function getFileExtension(path) {
+    const name = path.split('/').pop();
+    return name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+}
+
+function getBasePath(path) {
+    return path.replace(/\.[^./]+$/, '');
+}
+
+function getDirectory(path) {
+    return path.includes('/') ? path.slice(0, path.lastIndexOf('/') + 1) : '';
+}
+
+function extractHashFromPath(path) {
+    const match = path.match(HASH_PATTERN);
+    return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Cheap check (file names only) used to decide whether the preview button is worth enabling.
+ */
+function findPreviewableModelFiles(zip) {
+    return getZipFileEntries(zip).filter(entry => VIEWER_MESH_EXTENSIONS.includes(getFileExtension(entry.name)));
+}
+
+/**
+ * Extracts renderable parts from the archive. Each part is `{ id, label, hash, object }`.
+ * Requires three.js to be loaded.
+ */
+async function extractModelParts(zip) {
+    const entries = getZipFileEntries(zip);
+    const parts = [];
+
+    parts.push(...await extractMigotoParts(zip, entries));
+
+    for (const entry of entries) {
+        const extension = getFileExtension(entry.name);
+        try {
+            let object = null;
+            if (extension === 'obj') {
+                object = new THREE.OBJLoader().parse(await entry.async('string'));
+            } else if (extension === 'glb' || extension === 'gltf') {
+                object = await parseGltfEntry(zip, entry);
+            } else if (extension === 'fbx') {
+                object = new THREE.FBXLoader().parse(await entry.async('arraybuffer'), getDirectory(entry.name));
+            }
+            if (object) {
+                parts.push(...splitObjectIntoParts(object, entry.name));
+            }
+        } catch (error) {
+            console.warn(`Could not parse ${entry.name} for the 3D preview:`, error);
+        }
+    }
+    return parts;
+}
+
+function splitObjectIntoParts(object, sourcePath) {
+    const fileLabel = sourcePath.split('/').pop();
+    const meshes = [];
+    object.traverse(child => {
+        if (child.isMesh) meshes.push(child);
+    });
+    if (meshes.length <= 1) {
+        return [{ id: sourcePath, label: fileLabel, hash: extractHashFromPath(sourcePath), object }];
+    }
+    return meshes.map((mesh, index) => ({
+        id: `${sourcePath}#${index}`,
+        label: `${fileLabel} › ${mesh.name || t('Mesh {number}', { number: index + 1 })}`,
+        hash: extractHashFromPath(mesh.name || '') || extractHashFromPath(sourcePath),
+        object: mesh
+    }));
+}
+
+async function parseGltfEntry(zip, entry) {
+    const manager = new THREE.LoadingManager();
+    const objectUrls = [];
+    let data;
+
+    if (getFileExtension(entry.name) === 'gltf') {
+        data = await entry.async('string');
+        const json = JSON.parse(data);
+        const uris = [...(json.buffers || []), ...(json.images || [])]
+            .map(item => item.uri)
+            .filter(uri => uri && !uri.startsWith('data:'));
+        const urlMap = new Map();
+        for (const uri of uris) {
+            const referenced = zip.file(getDirectory(entry.name) + decodeURIComponent(uri));
+            if (referenced) {
+                const url = URL.createObjectURL(await referenced.async('blob'));
+                objectUrls.push(url);
+                urlMap.set(uri, url);
+            }
+        }
+        manager.setURLModifier(url => urlMap.get(url) || url);
+    } else {
+        data = await entry.async('arraybuffer');
+    }
+
+    try {
+        const gltf = await new Promise((resolve, reject) => {
+            new THREE.GLTFLoader(manager).parse(data, '', resolve, reject);
+        });
+        return gltf.scene;
+    } finally {
+        // Textures are decoded by the time parse resolves, so the blob URLs can go
+        objectUrls.forEach(url => URL.revokeObjectURL(url));
+    }
+}
+
+// --- 3DMIGOTO BUFFER DUMPS ---
+/**
+ * Parses the `.fmt` description written next to 3DMigoto/GIMI `.ib`/`.vb` dumps.
+ */
+function parseMigotoFmt(text) {
+    const fmt = { stride: 0, indexFormat: 'DXGI_FORMAT_R16_UINT', elements: [] };
+    let currentElement = null;
+
+    text.split(/\r?\n/).forEach(line => {
+        const match = line.match(/^\s*([\w[\]]+)\s*:\s*(.*?)\s*$/);
+        if (!match) return;
+        const [, key, value] = match;
+        if (/^element\[\d+\]$/.test(key)) {
+            currentElement = {};
+            fmt.elements.push(currentElement);
+        } else if (currentElement && /^[A-Z]/.test(key)) {
+            currentElement[key] = value;
+        } else if (key === 'stride') {
+            fmt.stride = parseInt(value, 10);
+        } else if (key === 'format') {
+            fmt.indexFormat = value;
+        }
+    });
+    return fmt;
+}
+
+/**
+ * Parses the `[Resource...]` and `[TextureOverride...]` sections of a mod `.ini`.
+ */
+function parseMigotoIni(text, iniPath) {
+    const resources = {};
+    const overrides = [];
+    let section = null;
+    let sectionName = '';
+
+    text.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.replace(/;.*$/, '').trim();
+        if (!line) return;
+        const header = line.match(/^\[(.+)\]$/);
+        if (header) {
+            sectionName = header[1];
+            section = {};
+            if (/^Resource/i.test(sectionName)) resources[sectionName.toLowerCase()] = section;
+            if (/^TextureOverride/i.test(sectionName)) overrides.push(section);
+            section.name = sectionName;
+            return;
+        }
+        const pair = line.match(/^([^=]+?)\s*=\s*(.*)$/);
+        if (section && pair) {
+            section[pair[1].toLowerCase()] = pair[2];
+        }
+    });
+
+    Object.values(resources).forEach(resource => {
+        if (resource.filename) {
+            resource.path = getDirectory(iniPath) + resource.filename.replace(/\\/g, '/');
+        }
+    });
+    return { resources, overrides };
+}
+
+const DXGI_COMPONENT_READERS = {
+    FLOAT: { 32: (view, offset) => view.getFloat32(offset, true), 16: (view, offset) => halfToFloat(view.getUint16(offset, true)) },
+    UNORM: { 8: (view, offset) => view.getUint8(offset) / 255, 16: (view, offset) => view.getUint16(offset, true) / 65535 },
+    SNORM: { 8: (view, offset) => Math.max(view.getInt8(offset) / 127, -1), 16: (view, offset) => Math.max(view.getInt16(offset, true) / 32767, -1) },
+    UINT: { 8: (view, offset) => view.getUint8(offset), 16: (view, offset) => view.getUint16(offset, true), 32: (view, offset) => view.getUint32(offset, true) },
+    SINT: { 8: (view, offset) => view.getInt8(offset), 16: (view, offset) => view.getInt16(offset, true), 32: (view, offset) => view.getInt32(offset, true) }
+};
+
+/**
+ * Turns a DXGI format like `R32G32B32_FLOAT` into a reader for its components.
+ */
+function getDxgiComponentLayout(format) {
+    const cleanFormat = format.replace(/^DXGI_FORMAT_/, '');
+    const [channels, type] = cleanFormat.split('_');
+    const bits = (channels.match(/\d+/g) || []).map(Number);
+    const reader = DXGI_COMPONENT_READERS[type]?.[bits[0]];
+    if (!reader || bits.some(b => b !== bits[0])) return null;
+    return { count: bits.length, size: bits[0] / 8, reader };
+}
+
+function halfToFloat(half) {
+    const exponent = (half >> 10) & 0x1f;
+    const fraction = half & 0x3ff;
+    const sign = half & 0x8000 ? -1 : 1;
+    if (exponent === 0) return sign * Math.pow(2, -14) * (fraction / 1024);
+    if (exponent === 0x1f) return fraction ? NaN : sign * Infinity;
+    return sign * Math.pow(2, exponent - 15) * (1 + fraction / 1024);
+}
+
+function readVertexAttribute(buffer, stride, byteOffset, format, componentCount) {
+    const layout = getDxgiComponentLayout(format);
+    if (!layout || stride <= 0) return null;
+    const view = new DataView(buffer);
+    const vertexCount = Math.floor(buffer.byteLength / stride);
+    const output = new Float32Array(vertexCount * componentCount);
+
+    for (let v = 0; v < vertexCount; v++) {
+        for (let c = 0; c < componentCount && c < layout.count; c++) {
+            output[v * componentCount + c] = layout.reader(view, v * stride + byteOffset + c * layout.size);
+        }
+    }
+    return output;
+}
+
+/**
+ * Decodes an index buffer. When the format is unknown, R32 is assumed only if every index fits
+ * the vertex count, otherwise R16 (the frame-analysis default).
+ */
+function decodeIndexBuffer(buffer, format, vertexCount) {
+    const usesR32 = format
+        ? /R32_UINT/i.test(format)
+        : buffer.byteLength % 4 === 0 && new Uint32Array(buffer).every(index => index < vertexCount);
+    const indices = usesR32 ? new Uint32Array(buffer) : new Uint16Array(buffer.slice(0, buffer.byteLength - (buffer.byteLength % 2)));
+    const triangleCount = Math.floor(indices.length / 3);
+    const valid = Uint32Array.from(indices.subarray(0, triangleCount * 3));
+    if (valid.some(index => index >= vertexCount)) {
+        throw new Error('Index buffer references vertices outside the vertex buffer.');
+    }
+    return valid;
+}
+
+/**
+ * Finds `.ib` dumps in the archive and pairs them with their vertex data. Supports both the
+ * `.ib`/`.vb`/`.fmt` triples written by the GIMI collect scripts and mod folders whose `.ini`
+ * declares `Position`/`Texcoord` buffer resources.
+ */
+async function extractMigotoParts(zip, entries) {
+    const parts = [];
+    const iniData = [];
+    for (const entry of entries.filter(e => getFileExtension(e.name) === 'ini')) {
+        iniData.push(parseMigotoIni(await entry.async('string'), entry.name));
+    }
+    const iniResources = iniData.flatMap(ini => Object.values(ini.resources));
+    const iniOverrides = iniData.flatMap(ini => ini.overrides);
+
+    for (const ibEntry of entries.filter(e => getFileExtension(e.name) === 'ib')) {
+        const basePath = getBasePath(ibEntry.name);
+        try {
+            const vbEntry = zip.file(`${basePath}.vb`) || zip.file(`${basePath}.vb0`);
+            const fmtEntry = zip.file(`${basePath}.fmt`);
+            let geometryData = null;
+
+            if (vbEntry && fmtEntry) {
+                geometryData = await buildGeometryFromFmt(ibEntry, vbEntry, parseMigotoFmt(await fmtEntry.async('string')));
+            } else {
+                geometryData = await buildGeometryFromIni(zip, ibEntry, iniResources);
+            }
+            if (!geometryData) continue;
+
+            const ibResource = iniResources.find(resource => resource.path === ibEntry.name);
+            const override = ibResource && iniOverrides.find(o => o.ib?.toLowerCase() === ibResource.name.toLowerCase());
+            const hash = override?.hash?.toLowerCase() || extractHashFromPath(ibEntry.name);
+            const texture = await loadDiffuseTextureForPart(zip, entries, basePath);
+
+            parts.push({
+                id: ibEntry.name,
+                label: ibEntry.name.split('/').pop().replace(/\.ib$/i, ''),
+                hash,
+                object: createMigotoMesh(geometryData, texture, parts.length)
+            });
+        } catch (error) {
+            console.warn(`Could not build a mesh from ${ibEntry.name}:`, error);
+        }
+    }
+    return parts;
+}
+
+async function buildGeometryFromFmt(ibEntry, vbEntry, fmt) {
+    const vertexBuffer = await vbEntry.async('arraybuffer');
+    const findElement = (semantic) => fmt.elements.find(el => el.SemanticName === semantic && (el.SemanticIndex || '0') === '0');
+    const position = findElement('POSITION');
+    if (!position || !fmt.stride) return null;
+
+    const readElement = (element, components) => element
+        ? readVertexAttribute(vertexBuffer, fmt.stride, parseInt(element.AlignedByteOffset, 10) || 0, element.Format, components)
+        : null;
+    const positions = readElement(position, 3);
+    const vertexCount = positions.length / 3;
+
+    return {
+        positions,
+        normals: readElement(findElement('NORMAL'), 3),
+        uvs: readElement(findElement('TEXCOORD'), 2),
+        indices: decodeIndexBuffer(await ibEntry.async('arraybuffer'), fmt.indexFormat, vertexCount)
+    };
+}
+
+async function buildGeometryFromIni(zip, ibEntry, iniResources) {
+    const ibResource = iniResources.find(resource => resource.path === ibEntry.name);
+    const resourceBase = (ibResource?.name || '').replace(/IB$/i, '').toLowerCase();
+
+    // Mods share one Position buffer between all parts of a character: pick the one whose
+    // resource name shares the longest prefix with this part's IB resource.
+    const findBuffer = (suffix) => iniResources
+        .filter(resource => resource.path && resource.name.toLowerCase().endsWith(suffix))
+        .map(resource => ({ resource, score: commonPrefixLength(resource.name.toLowerCase(), resourceBase) }))
+        .sort((a, b) => b.score - a.score)[0]?.resource;
+
+    const positionResource = findBuffer('position');
+    const positionEntry = positionResource && zip.file(positionResource.path);
+    if (!positionEntry) return null;
+
+    const positionBuffer = await positionEntry.async('arraybuffer');
+    const positionStride = parseInt(positionResource.stride, 10) || MIGOTO_DEFAULT_POSITION_STRIDE;
+    const positions = readVertexAttribute(positionBuffer, positionStride, 0, 'R32G32B32_FLOAT', 3);
+    const normals = positionStride >= 24 ? readVertexAttribute(positionBuffer, positionStride, 12, 'R32G32B32_FLOAT', 3) : null;
+
+    let uvs = null;
+    const texcoordResource = findBuffer('texcoord');
+    const texcoordEntry = texcoordResource && zip.file(texcoordResource.path);
+    if (texcoordEntry) {
+        const texcoordStride = parseInt(texcoordResource.stride, 10) || 8;
+        // GIMI texcoord buffers lead with a 4-byte vertex color when the stride leaves room for it
+        const uvOffset = texcoordStride % 8 === 4 ? 4 : 0;
+        uvs = readVertexAttribute(await texcoordEntry.async('arraybuffer'), texcoordStride, uvOffset, 'R32G32_FLOAT', 2);
+    }
+
+    return {
+        positions,
+        normals,
+        uvs: uvs && uvs.length / 2 === positions.length / 3 ? uvs : null,
+        indices: decodeIndexBuffer(await ibEntry.async('arraybuffer'), ibResource?.format, positions.length / 3)
+    };
+}
+
+function commonPrefixLength(a, b) {
+    let i = 0;
+    while (i < a.length && i < b.length && a[i] === b[i]) i++;
+    return i;
+}
+
+async function loadDiffuseTextureForPart(zip, entries, basePath) {
+    const partName = basePath.split('/').pop().toLowerCase();
+    const directory = getDirectory(basePath);
+    const textureEntry = entries.find(entry => {
+        const name = entry.name.split('/').pop().toLowerCase();
+        return getDirectory(entry.name) === directory &&
+            name.startsWith(partName) && name.includes('diffuse') &&
+            VIEWER_TEXTURE_EXTENSIONS.includes(getFileExtension(name));
+    });
+    if (!textureEntry) return null;
+
+    try {
+        return await createTextureFromEntry(textureEntry);
+    } catch (error) {
+        console.warn(`Texture ${textureEntry.name} could not be used in the 3D preview:`, error);
+        return null;
+    }
+}
+
+async function createTextureFromEntry(entry) {
+    const buffer = await entry.async('arraybuffer');
+    const decoded = decodeImageByExtension(entry.name, buffer);
+    let texture;
+    if (decoded) {
+        texture = new THREE.DataTexture(decoded.data, decoded.width, decoded.height, THREE.RGBAFormat);
+    } else {
+        texture = new THREE.Texture(await createImageBitmap(new Blob([buffer])));
+    }
+    // DirectX UVs start at the top row, which is also the first row of the decoded data
+    texture.flipY = false;
+    texture.encoding = THREE.sRGBEncoding;
+    texture.needsUpdate = true;
+    return texture;
+}
+
+function createMigotoMesh({ positions, normals, uvs, indices }, texture, colorIndex) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    if (normals) geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+    if (uvs) geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+    geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    if (!normals) geometry.computeVertexNormals();
+
+    const material = new THREE.MeshStandardMaterial({
+        color: texture && uvs ? 0xffffff : VIEWER_PART_COLORS[colorIndex % VIEWER_PART_COLORS.length],
+        map: uvs ? texture : null,
+        roughness: 0.8,
+        side: THREE.DoubleSide
+    });
+    return new THREE.Mesh(geometry, material);
+}
+
+// --- SCENE ---
+/**
+ * Creates a renderer inside `stageElement` and returns controls for it.
+ */
+function createModelViewer(stageElement) {
+    const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+    renderer.setPixelRatio(Math.min(window.devicePixelRatio || 1, 2));
+    renderer.outputEncoding = THREE.sRGBEncoding;
+    stageElement.appendChild(renderer.domElement);
+
+    const scene = new THREE.Scene();
+    const camera = new THREE.PerspectiveCamera(45, 1, 0.01, 1000);
+    scene.add(new THREE.HemisphereLight(0xffffff, 0x262639, 1.1));
+    const keyLight = new THREE.DirectionalLight(0xffffff, 0.8);
+    keyLight.position.set(1, 2, 3);
+    scene.add(keyLight);
+
+    const root = new THREE.Group();
+    scene.add(root);
+
+    const controls = new THREE.OrbitControls(camera, renderer.domElement);
+    controls.enableDamping = true;
+
+    const resize = () => {
+        const width = stageElement.clientWidth || 1;
+        const height = stageElement.clientHeight || 1;
+        renderer.setSize(width, height, false);
+        camera.aspect = width / height;
+        camera.updateProjectionMatrix();
+    };
+    const resizeObserver = new ResizeObserver(resize);
+    resizeObserver.observe(stageElement);
+    resize();
+
+    let frameId = null;
+    const renderLoop = () => {
+        controls.update();
+        renderer.render(scene, camera);
+        frameId = requestAnimationFrame(renderLoop);
+    };
+    renderLoop();
+
+    const partObjects = new Map();
+
+    function forEachMaterial(callback) {
+        root.traverse(child => {
+            if (!child.material) return;
+            (Array.isArray(child.material) ? child.material : [child.material]).forEach(callback);
+        });
+    }
+
+    return {
+        addPart(part) {
+            partObjects.set(part.id, part.object);
+            root.add(part.object);
+        },
+        setPartVisible(partId, visible) {
+            const object = partObjects.get(partId);
+            if (object) object.visible = visible;
+        },
+        setWireframe(enabled) {
+            forEachMaterial(material => { material.wireframe = enabled; });
+        },
+        resetView() {
+            const box = new THREE.Box3().setFromObject(root);
+            if (box.isEmpty()) return;
+            const center = box.getCenter(new THREE.Vector3());
+            const radius = box.getSize(new THREE.Vector3()).length() / 2 || 1;
+            const distance = radius / Math.sin(THREE.MathUtils.degToRad(camera.fov / 2));
+            camera.near = distance / 100;
+            camera.far = distance * 100;
+            camera.position.copy(center).add(new THREE.Vector3(0, 0, distance));
+            camera.updateProjectionMatrix();
+            controls.target.copy(center);
+            controls.update();
+        },
+        dispose() {
+            cancelAnimationFrame(frameId);
+            resizeObserver.disconnect();
+            controls.dispose();
+            root.traverse(child => {
+                child.geometry?.dispose();
+            });
+            forEachMaterial(material => {
+                material.map?.dispose();
+                material.dispose();
+            });
+            renderer.dispose();
+            renderer.domElement.remove();
+        }
+    };
+}
+
+// --- VIEWER UI ---
+/**
+ * Enables the viewer pane once the archive has been loaded. `zip` may be null when the archive
+ * failed to load.
+ */
+function initializeModelViewer(viewerElement, zip) {
+    if (!viewerElement || !viewerElement.isConnected) return;
+    const loadBtn = viewerElement.querySelector('.model-viewer-load-btn');
+    const message = viewerElement.querySelector('.model-viewer-message');
+
+    if (!zip) {
+        message.textContent = t('The model archive could not be loaded, so there is nothing to preview.');
+        return;
+    }
+    const candidates = findPreviewableModelFiles(zip);
+    if (candidates.length === 0) {
+        message.textContent = t('No previewable meshes (OBJ, glTF, FBX or 3DMigoto IB/VB dumps) were found in this archive.');
+        return;
+    }
+
+    message.textContent = tn('{count} mesh file found. Load the preview to inspect the model in 3D.', '{count} mesh files found. Load the preview to inspect the model in 3D.', candidates.length);
+    loadBtn.disabled = false;
+    loadBtn.addEventListener('click', () => loadModelPreview(viewerElement, zip));
+}
+
+async function loadModelPreview(viewerElement, zip) {
+    const stage = viewerElement.querySelector('.model-viewer-stage');
+    const message = viewerElement.querySelector('.model-viewer-message');
+    const loadBtn = viewerElement.querySelector('.model-viewer-load-btn');
+    const wireframeToggle = viewerElement.querySelector('.model-viewer-wireframe');
+    const resetBtn = viewerElement.querySelector('.model-viewer-reset-btn');
+    const partsList = viewerElement.querySelector('.model-viewer-parts');
+
+    loadBtn.disabled = true;
+    message.classList.remove('error-zip-message');
+    message.textContent = t('Loading 3D viewer...');
+    viewerElement.dataset.state = 'loading';
+
+    let viewer = null;
+    try {
+        await loadThreeLibrary();
+        message.textContent = t('Extracting meshes from the archive...');
+        const parts = await extractModelParts(zip);
+        if (!viewerElement.isConnected) return; // Overlay was closed meanwhile
+        if (parts.length === 0) {
+            throw new Error(t('None of the mesh files in this archive could be parsed.'));
+        }
+
+        disposeActiveModelViewer();
+        viewer = createModelViewer(stage);
+        activeModelViewer = viewer;
+        parts.forEach(part => viewer.addPart(part));
+        viewer.resetView();
+        message.remove(); // The canvas takes its place
+
+        partsList.innerHTML = `<legend>${t('Visible parts')}</legend>` + parts.map((part, index) => `
+            <label class="model-viewer-part">
+                <input type="checkbox" data-part-index="${index}" checked>
+                ${part.hash ? `<span class="inclusion-id">${escapeHTML(part.hash)}</span>` : ''}
+                <span>${escapeHTML(part.label)}</span>
+            </label>`).join('');
+        partsList.hidden = false;
+        partsList.addEventListener('change', (e) => {
+            const index = e.target.dataset.partIndex;
+            if (index !== undefined) viewer.setPartVisible(parts[index].id, e.target.checked);
+        });
+
+        wireframeToggle.disabled = false;
+        wireframeToggle.addEventListener('change', () => viewer.setWireframe(wireframeToggle.checked));
+        resetBtn.disabled = false;
+        resetBtn.addEventListener('click', () => viewer.resetView());
+
+        viewerElement.dataset.state = 'ready';
+        setupFocusTrap(); // New controls became focusable
+    } catch (error) {
+        console.error('Failed to load 3D preview:', error);
+        if (viewer && activeModelViewer === viewer) disposeActiveModelViewer();
+        if (!message.isConnected) stage.appendChild(message);
+        message.textContent = t('Could not display the 3D preview. ({error})', { error: error.message });
+        message.classList.add('error-zip-message');
+        viewerElement.dataset.state = 'error';
+        loadBtn.disabled = false; // Let the preview be retried
+    }
+}
+
+function disposeActiveModelViewer() {
+    if (activeModelViewer) {
+        activeModelViewer.dispose();
+        activeModelViewer = null;
+    }
+}
@@ -0,0 +1,79 @@
+// --- WHAT'S NEW ---
+// The "Recently added & updated" row on the main page: the characters with the newest upload or
+// revision date (meta.uploadDate / meta.updatedDate). The same events make up feed.xml, which
+// scripts/build-index.js generates.
+
+const WHATS_NEW_LIMIT = 6;
+const WHATS_NEW_FEED_PATH = 'feed.xml';
+
+const whatsNewSection = document.getElementById('whatsNew');
+
+function initializeWhatsNew() {
+    if (!whatsNewSection) return;
+    whatsNewSection.addEventListener('click', handleWhatsNewClick);
+    renderWhatsNew();
+}
+
+/**
+ * Whether the latest activity of a character is its upload or a revision, and what changed.
+ * Index entries keep only the newest version, which is all this needs.
+ */
+function getLatestCharacterChange(character) {
+    const meta = character.meta || {};
+    const date = getLastUpdateDate(character);
+    if (date && date === meta.updatedDate && date !== meta.uploadDate) {
+        const version = meta.versions?.[0]?.date === date ? meta.versions[0] : null;
+        return { kind: 'updated', date, version: version?.version || '', summary: version?.changes || '' };
+    }
+    return { kind: 'added', date, version: '', summary: character.description || '' };
+}
+
+function renderWhatsNew() {
+    const latestCharacters = characters
+        .filter(character => getLastUpdateDate(character))
+        .sort((a, b) => compareText(getLastUpdateDate(b), getLastUpdateDate(a)) || compareText(a.name, b.name))
+        .slice(0, WHATS_NEW_LIMIT);
+
+    whatsNewSection.hidden = latestCharacters.length === 0;
+    whatsNewSection.innerHTML = latestCharacters.length === 0 ? '' : `
+        <div class="recently-viewed-header">
+            <h2 id="whats-new-heading">${t('Recently Added &amp; Updated')}</h2>
+            <div class="whats-new-actions">
+                <button type="button" class="archive-action-btn" data-whats-new-action="sort">${t('Sort all by date')}</button>
+                <a class="archive-action-btn" href="${WHATS_NEW_FEED_PATH}" type="application/atom+xml">${t('Atom feed')}</a>
+            </div>
+        </div>
+        <ul class="whats-new-list">
+            ${latestCharacters.map(character => {
+                const change = getLatestCharacterChange(character);
+                const summary = richTextToPlainText(change.summary).trim();
+                return `
+                <li>
+                    <button type="button" class="whats-new-item" data-whats-new-id="${escapeHTML(character.id)}">
+                        <img src="${escapeHTML(sanitizeUrl(character.assets?.splashImage) || 'characters/generic/splash.png')}" alt="" loading="lazy">
+                        <span class="whats-new-text">
+                            <span class="whats-new-name">${escapeHTML(character.name)}</span>
+                            <span class="whats-new-meta">
+                                <span class="whats-new-tag ${change.kind}">${t(change.kind === 'added' ? 'New' : 'Updated')}${change.version ? ` ${escapeHTML(change.version)}` : ''}</span>
+                                ${generateDateHTML(change.date)}
+                            </span>
+                            ${summary ? `<span class="whats-new-summary">${escapeHTML(summary)}</span>` : ''}
+                        </span>
+                    </button>
+                </li>`;
+            }).join('')}
+        </ul>`;
+}
+
+function handleWhatsNewClick(e) {
+    const item = e.target.closest('.whats-new-item[data-whats-new-id]');
+    if (item) {
+        showCharacterDetailOverlay(item.dataset.whatsNewId, item);
+        return;
+    }
+    if (e.target.closest('[data-whats-new-action="sort"]')) {
+        currentSort = setSortSelection('updated');
+        applyFilters();
+        characterGrid.scrollIntoView({ block: 'start' });
+    }
+}